@@ -0,0 +1,208 @@
+// Green Wave Achievements
+// Earned from the gameplay events the game reports while a run is played. Each
+// run keeps a small record of what happened in it (lights passed and on which
+// phase, brake use, stops); lifetime totals and earned achievements are kept in
+// localStorage. Custom levels don't count.
+//
+// Events, reported with recordAchievementEvent():
+//   { type: 'run-start', mode, vehicle }    mode: 'level', 'daily', 'endless' or 'custom'
+//   { type: 'light-passed', state }         the light's phase as the car passed it
+//   { type: 'brake' }                       the brake was pressed
+//   { type: 'assist' }                      the speed advisory was turned on; the run stops counting
+//   { type: 'stop' }                        the car came to a standstill
+//   { type: 'win', stars, fullGame, classicThreeStars }
+//                                           fullGame: a full-game run was just completed;
+//                                           classicThreeStars: every classic level has 3 stars
+//   { type: 'fail', reason, distance }      reason: FAIL_RED_LIGHT, FAIL_STOPPED or FAIL_BLINKING; distance in m
+
+// Under Node, pull in the simulation; in the browser it's already loaded
+if (typeof module !== 'undefined' && module.exports && typeof FAIL_RED_LIGHT === 'undefined') {
+    Object.assign(global, require('./simulation.js'));
+}
+
+const ACHIEVEMENTS_KEY = 'greenWaveAchievements';
+
+// `earned(run, totals, event)` is checked after every event; `goal` and
+// `progress(totals)` show how far along a lifetime achievement is
+const ACHIEVEMENTS = [
+    {
+        id: 'first-wave',
+        name: 'First wave',
+        description: 'Finish a level',
+        earned: (run, totals, event) => event.type === 'win'
+    },
+    {
+        id: 'feather-foot',
+        name: 'Feather foot',
+        description: 'Finish a whole level without touching the brake',
+        earned: (run, totals, event) => event.type === 'win' && !run.braked
+    },
+    {
+        id: 'solid-green',
+        name: 'Solid green',
+        description: 'Pass every light of a level on solid green',
+        earned: (run, totals, event) => event.type === 'win' && run.lights > 0 && run.greenLights === run.lights
+    },
+    {
+        id: 'standing-start',
+        name: 'Standing start',
+        description: 'Come to a complete stop and still finish the level',
+        earned: (run, totals, event) => event.type === 'win' && run.stopped
+    },
+    {
+        id: 'full-circle',
+        name: 'Full circle',
+        description: 'Finish a full-game run',
+        earned: (run, totals, event) => event.type === 'win' && event.fullGame
+    },
+    {
+        id: 'perfectionist',
+        name: 'Perfectionist',
+        description: 'Get 3 stars on all 7 classic levels',
+        earned: (run, totals, event) => event.type === 'win' && event.classicThreeStars
+    },
+    {
+        id: 'bus-driver',
+        name: 'Next stop',
+        description: 'Finish a level with the city bus',
+        earned: (run, totals, event) => event.type === 'win' && run.vehicle === 'bus'
+    },
+    {
+        id: 'long-haul',
+        name: 'Long haul',
+        description: 'Drive 1 km on an endless road',
+        earned: (run, totals, event) => event.type === 'fail' && run.mode === 'endless' && event.distance >= 1000
+    },
+    {
+        id: 'on-the-edge',
+        name: 'On the edge',
+        description: 'Pass 10 lights on blinking yellow',
+        goal: 10,
+        progress: totals => totals.blinkingPasses
+    },
+    {
+        id: 'century',
+        name: 'Century',
+        description: 'Pass 100 lights',
+        goal: 100,
+        progress: totals => totals.lightsPassed
+    },
+    {
+        id: 'red-handed',
+        name: 'Caught red-handed',
+        description: 'Run a red light',
+        earned: (run, totals, event) => event.type === 'fail' && event.reason === FAIL_RED_LIGHT
+    },
+    {
+        id: 'persistence',
+        name: 'Persistence',
+        description: 'Break the wave 25 times',
+        goal: 25,
+        progress: totals => totals.fails
+    }
+];
+
+let achievementRun = null; // What has happened in the current run, null when it doesn't count
+
+function createAchievementTotals() {
+    return { lightsPassed: 0, blinkingPasses: 0, wins: 0, fails: 0 };
+}
+
+// { earned: { id: timestamp }, totals }
+function getAchievementData() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(ACHIEVEMENTS_KEY));
+        if (stored && typeof stored === 'object') {
+            return {
+                earned: stored.earned && typeof stored.earned === 'object' ? stored.earned : {},
+                totals: { ...createAchievementTotals(), ...stored.totals }
+            };
+        }
+    } catch (e) {
+        // Fall through to a fresh record
+    }
+    return { earned: {}, totals: createAchievementTotals() };
+}
+
+function saveAchievementData(data) {
+    try {
+        localStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(data));
+    } catch (e) {
+        // localStorage might be unavailable
+    }
+}
+
+function isAchievementEarned(achievement, run, totals, event) {
+    if (achievement.goal !== undefined) {
+        return achievement.progress(totals) >= achievement.goal;
+    }
+    return Boolean(run && achievement.earned(run, totals, event));
+}
+
+// Record one gameplay event; returns the achievements it earned
+function recordAchievementEvent(event) {
+    if (event.type === 'run-start') {
+        achievementRun = event.mode === 'custom' ? null : {
+            mode: event.mode,
+            vehicle: event.vehicle,
+            lights: 0,
+            greenLights: 0,
+            braked: false,
+            stopped: false
+        };
+        return [];
+    }
+    if (!achievementRun) return [];
+    if (event.type === 'assist') {
+        achievementRun = null;
+        return [];
+    }
+
+    const run = achievementRun;
+    const data = getAchievementData();
+    const totals = data.totals;
+    let totalsChanged = true;
+    switch (event.type) {
+        case 'light-passed':
+            run.lights++;
+            totals.lightsPassed++;
+            if (event.state === 'green') run.greenLights++;
+            if (event.state === 'blinking-yellow') totals.blinkingPasses++;
+            break;
+        case 'brake':
+            run.braked = true;
+            totalsChanged = false;
+            break;
+        case 'stop':
+            run.stopped = true;
+            totalsChanged = false;
+            break;
+        case 'win':
+            totals.wins++;
+            break;
+        case 'fail':
+            totals.fails++;
+            break;
+        default:
+            totalsChanged = false;
+    }
+    // A finished run takes no more events
+    if (event.type === 'win' || event.type === 'fail') {
+        achievementRun = null;
+    }
+
+    const newlyEarned = ACHIEVEMENTS.filter(achievement =>
+        !data.earned[achievement.id] && isAchievementEarned(achievement, run, totals, event));
+    newlyEarned.forEach(achievement => {
+        data.earned[achievement.id] = Date.now();
+    });
+    if (totalsChanged || newlyEarned.length > 0) {
+        saveAchievementData(data);
+    }
+    return newlyEarned;
+}
+
+// Allow the catalogue to be checked headless under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ACHIEVEMENTS, isAchievementEarned };
+}
@@ -0,0 +1,46 @@
+// Green Wave Speed Advisory
+// An opt-in practice aid: the constant speeds at which the car's front would
+// reach the next lights while none of them is red. On Hard, where a blinking
+// yellow counts as red, it must not be blinking yellow either. Only the lights
+// ahead and their fixed cycles are used, so the advice is exact for a car that
+// holds that speed.
+
+// Under Node, pull in the simulation; in the browser it's already loaded
+if (typeof module !== 'undefined' && module.exports && typeof createSimulation === 'undefined') {
+    Object.assign(global, require('./simulation.js'));
+}
+
+const ADVISORY_LIGHTS = 2; // Lights ahead the advice has to get through
+const ADVISORY_MIN_SPEED = 15; // km/h; crawling up to a light is no advice worth giving
+const ADVISORY_STEP = 1; // km/h between the speeds tried
+
+// Speed ranges that work, as [{ min, max }] in km/h from slowest to fastest.
+// Empty when no constant speed gets through; null when there are no lights left.
+function getSpeedAdvisory(level, state, lightCount = ADVISORY_LIGHTS) {
+    const lights = level.lights.slice(state.lightsPassed, state.lightsPassed + lightCount);
+    if (lights.length === 0) return null;
+
+    const front = getCarFront(state);
+    const maxSpeed = getVehicle(state.vehicle).maxSpeed;
+    const ranges = [];
+    let current = null;
+    for (let speed = ADVISORY_MIN_SPEED; speed <= maxSpeed; speed += ADVISORY_STEP) {
+        const pixelsPerSecond = speed * PIXELS_PER_KMH;
+        const clear = lights.every(light =>
+            canPassLight(getLightState(light, state.time + (light.x - front) / pixelsPerSecond, state.difficulty), state.difficulty));
+        if (clear && current) {
+            current.max = speed;
+        } else if (clear) {
+            current = { min: speed, max: speed };
+            ranges.push(current);
+        } else {
+            current = null;
+        }
+    }
+    return ranges;
+}
+
+// Allow the advice to be checked headless under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ADVISORY_LIGHTS, getSpeedAdvisory };
+}
@@ -0,0 +1,267 @@
+// Green Wave Level Analyzer
+// Decides whether a level can be finished without breaking the wave under a
+// difficulty's rules (running a red light, stopping, ...), using the real
+// simulation (light phases, acceleration, braking, friction and speed limits).
+// For each light it reports the arrival-time windows that still lead to a
+// finish, and it finds the smoothest run (the lowest driving score).
+//
+// The search drives every combination of gas / brake / coast in short decision
+// steps, merging runs that end up in the same (position, speed) bucket and
+// keeping the smoother one, so results are exact up to the bucket resolution.
+//
+// Usage from Node: node analyzer.js [--vehicle=bus] [--difficulty=hard] [pack.json] [levelNumber ...]
+
+// Under Node, pull in the simulation; in the browser it's already loaded
+if (typeof module !== 'undefined' && module.exports && typeof createSimulation === 'undefined') {
+    Object.assign(global, require('./simulation.js'));
+}
+
+const ANALYZER_INPUTS = [
+    { name: 'coast', gas: false, brake: false },
+    { name: 'gas', gas: true, brake: false },
+    { name: 'brake', gas: false, brake: true }
+];
+
+const ANALYZER_DEFAULTS = {
+    decisionTicks: 15, // Hold each input for 0.25 s
+    positionBucket: 10, // px
+    speedBucket: 2, // km/h
+    maxTime: 30, // seconds; slower runs are not explored
+    vehicle: DEFAULT_VEHICLE, // Key of VEHICLES to drive
+    difficulty: DEFAULT_DIFFICULTY // Key of DIFFICULTIES to drive on
+};
+
+// Marks a transition that finished the level
+const WIN = 'win';
+
+function analyzeLevel(level, options = {}) {
+    const config = { ...ANALYZER_DEFAULTS, ...options };
+
+    // Each node is a merged bucket of runs. `next` holds the nodes it leads to
+    // (or WIN), `crossings` only the transitions that passed a light, and
+    // `best` the transition that produced its smoothest state.
+    const start = { state: createSimulation(level, config.vehicle, config.difficulty), next: [], crossings: [], best: null, good: false };
+    let layer = [start];
+    const layers = [layer];
+    const wins = [];
+
+    while (layer.length > 0 && layer[0].state.time < config.maxTime) {
+        const buckets = new Map();
+
+        for (const node of layer) {
+            for (const input of ANALYZER_INPUTS) {
+                const state = { ...node.state };
+                let crossings = null;
+
+                for (let i = 0; i < config.decisionTicks && state.status === 'running'; i++) {
+                    for (const event of stepSimulation(level, state, input)) {
+                        if (event.type === 'light-passed') {
+                            crossings = crossings || [];
+                            crossings.push({ light: event.light, time: state.time, state: event.state });
+                        }
+                    }
+                }
+
+                if (state.status === 'lost') continue;
+
+                const step = { from: node, input: input.name, crossings: crossings || [] };
+                let target;
+
+                if (state.status === 'won') {
+                    target = WIN;
+                    wins.push({ step: step, state: state });
+                } else {
+                    const key = Math.round(state.x / config.positionBucket) * 4096 + Math.round(state.speed / config.speedBucket);
+                    target = buckets.get(key);
+                    if (!target) {
+                        target = { state: state, next: [], crossings: [], best: step, good: false };
+                        buckets.set(key, target);
+                    } else if (getDrivingScore(state) < getDrivingScore(target.state)) {
+                        target.state = state;
+                        target.best = step;
+                    }
+                }
+
+                node.next.push(target);
+                if (crossings) {
+                    node.crossings.push({ to: target, crossings: crossings });
+                }
+            }
+        }
+
+        layer = Array.from(buckets.values());
+        layers.push(layer);
+    }
+
+    // Walk back from the finish: a node is good if any transition leads to a win
+    for (let i = layers.length - 1; i >= 0; i--) {
+        for (const node of layers[i]) {
+            node.good = node.next.some(target => target === WIN || target.good);
+        }
+    }
+
+    const lights = level.lights.map((light, index) => ({
+        index: index,
+        x: light.x,
+        windows: collectArrivalWindows(layers, index, config.decisionTicks * SIM_TIMESTEP)
+    }));
+
+    const smoothest = findSmoothestRun(level, wins);
+
+    return {
+        solvable: wins.length > 0,
+        horizon: config.maxTime,
+        lights: lights,
+        smoothest: smoothest,
+        bestStars: smoothest ? smoothest.stars : 0,
+        threeStarsReachable: smoothest !== null && smoothest.stars === 3
+    };
+}
+
+// Merge the times at which winning runs cross a light into windows
+function collectArrivalWindows(layers, lightIndex, gap) {
+    const times = [];
+    for (const layer of layers) {
+        for (const node of layer) {
+            if (!node.good) continue;
+            for (const transition of node.crossings) {
+                if (transition.to !== WIN && !transition.to.good) continue;
+                for (const crossing of transition.crossings) {
+                    if (crossing.light === lightIndex) {
+                        times.push(crossing.time);
+                    }
+                }
+            }
+        }
+    }
+
+    times.sort((a, b) => a - b);
+    const windows = [];
+    for (const time of times) {
+        const last = windows[windows.length - 1];
+        if (last && time - last.to <= gap + 1e-9) {
+            last.to = time;
+        } else {
+            windows.push({ from: time, to: time });
+        }
+    }
+    return windows;
+}
+
+// Reconstruct the winning run with the least intentional speed change
+function findSmoothestRun(level, wins) {
+    if (wins.length === 0) return null;
+
+    const best = wins.reduce((a, b) => (getDrivingScore(b.state) < getDrivingScore(a.state) ? b : a));
+
+    const steps = [];
+    let step = best.step;
+    while (step) {
+        steps.unshift(step);
+        step = step.from.best;
+    }
+
+    const profile = steps.map(step => ({
+        time: step.from.state.time,
+        x: step.from.state.x,
+        speed: step.from.state.speed,
+        input: step.input
+    }));
+    const arrivals = [];
+    for (const step of steps) {
+        for (const crossing of step.crossings) {
+            arrivals.push(crossing);
+        }
+    }
+
+    return {
+        time: best.state.time,
+        totalSpeedChange: best.state.totalSpeedChange,
+        idleTime: best.state.idleTime,
+        stars: calculateStars(getDrivingScore(best.state), level.finishX, best.state.difficulty),
+        profile: profile,
+        arrivals: arrivals
+    };
+}
+
+// Collapse consecutive steps with the same input into one segment
+function summarizeProfile(profile) {
+    const segments = [];
+    for (const step of profile) {
+        const last = segments[segments.length - 1];
+        if (last && last.input === step.input) continue;
+        segments.push(step);
+    }
+    return segments;
+}
+
+function formatAnalysis(level, analysis) {
+    const lines = [];
+    if (!analysis.solvable) {
+        lines.push(`"${level.name}": NOT solvable within ${analysis.horizon}s`);
+        return lines.join('\n');
+    }
+
+    const smoothest = analysis.smoothest;
+    lines.push(`"${level.name}": solvable, best ${smoothest.stars} star(s)` +
+        (analysis.threeStarsReachable ? '' : ' - 3 stars are NOT reachable'));
+
+    lines.push(`  Arrival windows of winning runs (searched up to ${analysis.horizon}s):`);
+    for (const light of analysis.lights) {
+        const windows = light.windows.map(w => `${w.from.toFixed(2)}-${w.to.toFixed(2)}s`).join(', ');
+        lines.push(`    Light ${light.index + 1} at x=${light.x}: ${windows}`);
+    }
+
+    lines.push(`  Smoothest run: ${smoothest.time.toFixed(2)}s, speed change ${smoothest.totalSpeedChange.toFixed(1)} km/h` +
+        (smoothest.idleTime > 0 ? `, idling ${smoothest.idleTime.toFixed(2)}s` : ''));
+    for (const step of summarizeProfile(smoothest.profile)) {
+        lines.push(`    ${step.time.toFixed(1).padStart(5)}s  x=${Math.round(step.x).toString().padStart(5)}  ${Math.round(step.speed).toString().padStart(3)} km/h  ${step.input}`);
+    }
+    for (const arrival of smoothest.arrivals) {
+        lines.push(`    passes light ${arrival.light + 1} at ${arrival.time.toFixed(2)}s on ${arrival.state}`);
+    }
+    return lines.join('\n');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { analyzeLevel, formatAnalysis, summarizeProfile };
+
+    // Command line: analyze the given level numbers, or every level of the pack
+    // (the built-in levels unless a pack file is given)
+    if (require.main === module) {
+        const vehicleArg = process.argv.slice(2).find(arg => arg.startsWith('--vehicle='));
+        const vehicle = vehicleArg ? vehicleArg.slice('--vehicle='.length) : DEFAULT_VEHICLE;
+        const difficultyArg = process.argv.slice(2).find(arg => arg.startsWith('--difficulty='));
+        const difficulty = difficultyArg ? difficultyArg.slice('--difficulty='.length) : DEFAULT_DIFFICULTY;
+        const args = process.argv.slice(2).filter(arg => arg !== vehicleArg && arg !== difficultyArg);
+        const packFile = args.find(arg => arg.endsWith('.json'));
+        const levels = packFile
+            ? require('./levelpack.js').parseLevelPack(require('fs').readFileSync(packFile, 'utf8')).levels
+            : require('./levels.js').levels;
+        const requested = args.filter(arg => arg !== packFile).map(Number);
+        const numbers = requested.length > 0 ? requested : levels.map((_, i) => i + 1);
+        let allSolvable = true;
+        if (!VEHICLES[vehicle]) {
+            console.error(`Unknown vehicle "${vehicle}" (one of: ${Object.keys(VEHICLES).join(', ')})`);
+            process.exit(1);
+        }
+        if (!DIFFICULTIES[difficulty]) {
+            console.error(`Unknown difficulty "${difficulty}" (one of: ${Object.keys(DIFFICULTIES).join(', ')})`);
+            process.exit(1);
+        }
+
+        for (const number of numbers) {
+            const level = levels[number - 1];
+            if (!level) {
+                console.error(`Level ${number} doesn't exist`);
+                allSolvable = false;
+                continue;
+            }
+            const analysis = analyzeLevel(level, { vehicle: vehicle, difficulty: difficulty });
+            allSolvable = allSolvable && analysis.solvable;
+            console.log(`Level ${number} ${formatAnalysis(level, analysis)}\n`);
+        }
+
+        process.exitCode = allSolvable ? 0 : 1;
+    }
+}
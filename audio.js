@@ -0,0 +1,182 @@
+// Green Wave Sound
+// Every sound is synthesized with the Web Audio API, so there is nothing to
+// download. Browsers only allow audio after the player has interacted with the
+// page, so the audio graph is built on the first run (initAudio) and every
+// function here does nothing until then, or when Web Audio isn't available.
+//
+// Graph: engine hum, brake squeal and one-shot effects -> effects gain -> master gain -> speakers
+//        music (music.js) -> music gain -> master gain
+
+let audioContext = null;
+let masterGain = null;
+let sfxGain = null;
+let musicGain = null;
+let noiseBuffer = null; // One second of white noise, shared by every noise sound
+let engineSound = null; // { hum, rumble, filter, gain, squealGain } for the continuous car sounds
+
+const ENGINE_IDLE_PITCH = 38; // Hz at a standstill
+const ENGINE_PITCH_PER_KMH = 0.9; // Hz added per km/h
+const SQUEAL_MIN_SPEED = 15; // km/h; braking slower than this is silent
+const SOUND_SMOOTHING = 0.05; // s, time constant for volume and pitch changes
+
+function initAudio(settings) {
+    if (audioContext) {
+        if (audioContext.state === 'suspended') {
+            audioContext.resume();
+        }
+        return;
+    }
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    audioContext = new AudioContextClass();
+
+    masterGain = audioContext.createGain();
+    masterGain.connect(audioContext.destination);
+    sfxGain = audioContext.createGain();
+    sfxGain.connect(masterGain);
+    musicGain = audioContext.createGain();
+    musicGain.connect(masterGain);
+    setAudioVolume(settings);
+
+    noiseBuffer = createNoiseBuffer(1);
+
+    engineSound = createEngineSound();
+}
+
+function setAudioVolume(settings) {
+    if (!audioContext) return;
+    const now = audioContext.currentTime;
+    masterGain.gain.setTargetAtTime(settings.muted ? 0 : settings.volume, now, SOUND_SMOOTHING);
+    sfxGain.gain.setTargetAtTime(settings.sfxVolume, now, SOUND_SMOOTHING);
+    musicGain.gain.setTargetAtTime(settings.musicVolume, now, SOUND_SMOOTHING);
+}
+
+// Engine: a sawtooth and a square an octave below it through a low-pass filter.
+// Squeal: looped white noise through a narrow band-pass filter.
+function createEngineSound() {
+    const filter = audioContext.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 500;
+    const gain = audioContext.createGain();
+    gain.gain.value = 0;
+    filter.connect(gain);
+    gain.connect(sfxGain);
+
+    const hum = audioContext.createOscillator();
+    hum.type = 'sawtooth';
+    hum.frequency.value = ENGINE_IDLE_PITCH;
+    const rumble = audioContext.createOscillator();
+    rumble.type = 'square';
+    rumble.frequency.value = ENGINE_IDLE_PITCH / 2;
+    hum.connect(filter);
+    rumble.connect(filter);
+    hum.start();
+    rumble.start();
+
+    const noise = audioContext.createBufferSource();
+    noise.buffer = noiseBuffer;
+    noise.loop = true;
+    const squealFilter = audioContext.createBiquadFilter();
+    squealFilter.type = 'bandpass';
+    squealFilter.frequency.value = 3200;
+    squealFilter.Q.value = 12;
+    const squealGain = audioContext.createGain();
+    squealGain.gain.value = 0;
+    noise.connect(squealFilter);
+    squealFilter.connect(squealGain);
+    squealGain.connect(sfxGain);
+    noise.start();
+
+    return { hum, rumble, filter, gain, squealGain };
+}
+
+function createNoiseBuffer(seconds) {
+    const buffer = audioContext.createBuffer(1, audioContext.sampleRate * seconds, audioContext.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = Math.random() * 2 - 1;
+    }
+    return buffer;
+}
+
+// Called every frame. `speed` is null when no car is being driven, which silences the engine.
+// `input` holds pedal positions from 0 to 1 and `vehicle` is the profile being driven
+// (simulation.js). The gas opens the filter and lifts the pitch a little, like revving;
+// braking muffles it.
+function updateEngineSound(speed, input, vehicle) {
+    if (!engineSound) return;
+    const now = audioContext.currentTime;
+
+    if (speed === null) {
+        engineSound.gain.gain.setTargetAtTime(0, now, SOUND_SMOOTHING);
+        engineSound.squealGain.gain.setTargetAtTime(0, now, SOUND_SMOOTHING);
+        return;
+    }
+
+    const gas = Number(input.gas) || 0;
+    const brake = Number(input.brake) || 0;
+    const speedRatio = speed / vehicle.maxSpeed;
+    const pitch = (ENGINE_IDLE_PITCH + speed * ENGINE_PITCH_PER_KMH) * (1 + gas * 0.08);
+    engineSound.hum.frequency.setTargetAtTime(pitch, now, SOUND_SMOOTHING);
+    engineSound.rumble.frequency.setTargetAtTime(pitch / 2, now, SOUND_SMOOTHING);
+    engineSound.filter.frequency.setTargetAtTime(600 + gas * 800 - brake * 250, now, SOUND_SMOOTHING);
+    engineSound.gain.gain.setTargetAtTime(0.06 + speedRatio * 0.06 + gas * 0.04, now, SOUND_SMOOTHING);
+
+    const squeal = speed > SQUEAL_MIN_SPEED ? brake * brake * Math.min(1, speed / 60) * 0.05 : 0;
+    engineSound.squealGain.gain.setTargetAtTime(squeal, now, SOUND_SMOOTHING);
+}
+
+// One note with a quick attack and an exponential fade, optionally sliding to `endFrequency`
+function playTone(frequency, delay, duration, type, volume, endFrequency) {
+    const start = audioContext.currentTime + delay;
+    const oscillator = audioContext.createOscillator();
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(frequency, start);
+    if (endFrequency) {
+        oscillator.frequency.exponentialRampToValueAtTime(endFrequency, start + duration);
+    }
+
+    const gain = audioContext.createGain();
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(volume, start + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+    oscillator.connect(gain);
+    gain.connect(sfxGain);
+    oscillator.start(start);
+    oscillator.stop(start + duration + 0.05);
+}
+
+// Short click when a light on screen changes phase; higher for green, lower for red
+const LIGHT_TICK_PITCH = {
+    red: 900,
+    yellow: 1400,
+    green: 2000,
+    'blinking-yellow': 1400
+};
+
+function playLightTick(state) {
+    if (!audioContext) return;
+    playTone(LIGHT_TICK_PITCH[state], 0, 0.04, 'square', 0.05);
+}
+
+function playPassChime() {
+    if (!audioContext) return;
+    playTone(880, 0, 0.15, 'sine', 0.15);
+    playTone(1320, 0.08, 0.25, 'sine', 0.12);
+}
+
+function playFailSting() {
+    if (!audioContext) return;
+    playTone(392, 0, 0.7, 'sawtooth', 0.12, 110);
+    playTone(196, 0.05, 0.8, 'square', 0.06, 70);
+}
+
+// C major arpeggio
+function playWinSting() {
+    if (!audioContext) return;
+    [523, 659, 784, 1047].forEach((frequency, index) => {
+        playTone(frequency, index * 0.1, index === 3 ? 0.6 : 0.2, 'triangle', 0.15);
+    });
+}
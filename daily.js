@@ -0,0 +1,50 @@
+// Green Wave Daily Challenge
+// One level per calendar day, generated from the date, so everyone playing on
+// the same day gets the same puzzle. The lights come from the endless road
+// generator (so the level is always passable) and form a plain level with a
+// finish line, scored like any other level.
+
+// Under Node, pull in the generator; in the browser it's already loaded
+if (typeof module !== 'undefined' && module.exports && typeof createEndlessLevel === 'undefined') {
+    Object.assign(global, require('./endless.js'));
+}
+
+const DAILY_MIN_LIGHTS = 5;
+const DAILY_MAX_LIGHTS = 8;
+const DAILY_FINISH_GAP = 300; // px from the last light to the finish line
+
+// Local calendar day as YYYY-MM-DD, so the challenge changes at the player's midnight
+function getDailyKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// The day before a YYYY-MM-DD key
+function getPreviousDailyKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return getDailyKey(new Date(year, month - 1, day - 1));
+}
+
+function createDailyLevel(key) {
+    const random = createEndlessRandom(`daily-${key}`);
+    const lightCount = DAILY_MIN_LIGHTS + Math.floor(random() * (DAILY_MAX_LIGHTS - DAILY_MIN_LIGHTS + 1));
+
+    // Start somewhere between an easy and a tough stretch of road
+    const road = createEndlessLevel(`daily-${key}`, ENDLESS_RAMP_DISTANCE * (0.2 + random() * 0.5));
+    while (road.lights.length < lightCount) {
+        addEndlessLight(road);
+    }
+
+    return {
+        name: `Daily ${key}`,
+        startSpeed: road.startSpeed,
+        lights: road.lights.map(light => ({ ...light })),
+        finishX: road.lights[road.lights.length - 1].x + DAILY_FINISH_GAP
+    };
+}
+
+// Allow daily levels to be generated headless under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { getDailyKey, getPreviousDailyKey, createDailyLevel };
+}
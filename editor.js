@@ -0,0 +1,486 @@
+// Green Wave Level Editor
+// Lay out traffic lights on the road, tune their timing, preview the light
+// phases on a timeline and test-drive the level in the normal game loop.
+
+const EDITOR_STORAGE_KEY = 'greenWaveEditorLevel';
+const EDITOR_TIMELINE_SPAN = 30; // seconds shown on the phase timeline
+const EDITOR_SNAP = 5; // px grid for placing and dragging lights
+const EDITOR_MIN_DURATION = 0.5; // seconds
+
+const editorScreen = document.getElementById('editorScreen');
+const editorCanvas = document.getElementById('editorCanvas');
+const editorCtx = editorCanvas.getContext('2d');
+const editorTimeline = document.getElementById('editorTimeline');
+const editorTimelineCtx = editorTimeline.getContext('2d');
+const editorName = document.getElementById('editorName');
+const editorStartSpeed = document.getElementById('editorStartSpeed');
+const editorFinishX = document.getElementById('editorFinishX');
+const editorTemplate = document.getElementById('editorTemplate');
+const editorLightLabel = document.getElementById('editorLightLabel');
+const editorLightX = document.getElementById('editorLightX');
+const editorGreen = document.getElementById('editorGreen');
+const editorRed = document.getElementById('editorRed');
+const editorOffset = document.getElementById('editorOffset');
+const editorDeleteLight = document.getElementById('editorDeleteLight');
+const editorScrub = document.getElementById('editorScrub');
+const editorScrubTime = document.getElementById('editorScrubTime');
+const editorPlay = document.getElementById('editorPlay');
+const editorCode = document.getElementById('editorCode');
+const editorCodeStatus = document.getElementById('editorCodeStatus');
+const editorProblems = document.getElementById('editorProblems');
+const editorTestDrive = document.getElementById('editorTestDrive');
+const editorCopyLink = document.getElementById('editorCopyLink');
+
+let editorLevel = loadEditorLevel();
+let editorSelected = -1; // Index of the selected light
+let editorDrag = null; // { type: 'light' | 'finish', index }
+let editorTime = 0; // Preview time on the scrubber
+let editorPlaying = false;
+let editorLastFrame = 0;
+
+function createBlankLevel() {
+    return {
+        name: 'My level',
+        startSpeed: 50,
+        lights: [
+            { x: 500, greenDuration: 3, redDuration: 2, offset: 0 }
+        ],
+        finishX: 1000
+    };
+}
+
+function copyLevel(level) {
+    return {
+        name: level.name,
+        startSpeed: level.startSpeed,
+        lights: level.lights.map(light => ({
+            x: light.x,
+            greenDuration: light.greenDuration,
+            redDuration: light.redDuration,
+            offset: light.offset
+        })),
+        finishX: level.finishX
+    };
+}
+
+// The saved draft, if it passes the same checks as level packs; otherwise a fresh one
+function loadEditorLevel() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(EDITOR_STORAGE_KEY));
+        return stored && getLevelErrors(stored).length === 0 ? stored : createBlankLevel();
+    } catch (e) {
+        return createBlankLevel();
+    }
+}
+
+function saveEditorLevel() {
+    try {
+        localStorage.setItem(EDITOR_STORAGE_KEY, JSON.stringify(editorLevel));
+    } catch (e) {
+        // localStorage might be unavailable
+    }
+}
+
+// Keep lights in road order (the simulation expects it) and the selection on the same light
+function sortEditorLights() {
+    const selected = editorLevel.lights[editorSelected];
+    editorLevel.lights.sort((a, b) => a.x - b.x);
+    editorSelected = selected ? editorLevel.lights.indexOf(selected) : -1;
+}
+
+function openEditor() {
+    gameState = 'editing';
+    hideMessage();
+    closeReplay();
+    startScreen.classList.add('hidden');
+    editorScreen.classList.remove('hidden');
+    refreshEditorTemplates();
+    refreshEditor();
+}
+
+function closeEditor() {
+    editorPlaying = false;
+    editorScreen.classList.add('hidden');
+}
+
+function testDriveEditorLevel() {
+    closeEditor();
+    initCustomLevel(copyLevel(editorLevel), { label: 'Back to editor', action: openEditor });
+}
+
+// World-to-canvas mapping for the road view
+function getEditorScale() {
+    const lastLightX = editorLevel.lights.length > 0 ? editorLevel.lights[editorLevel.lights.length - 1].x : 0;
+    const worldWidth = Math.max(editorLevel.finishX, lastLightX) + 200;
+    return editorCanvas.width / worldWidth;
+}
+
+function getEditorWorldX(event) {
+    const rect = editorCanvas.getBoundingClientRect();
+    const canvasX = (event.clientX - rect.left) * (editorCanvas.width / rect.width);
+    return canvasX / getEditorScale();
+}
+
+function snapEditorX(x) {
+    return Math.max(0, Math.round(x / EDITOR_SNAP) * EDITOR_SNAP);
+}
+
+function refreshEditor() {
+    editorName.value = editorLevel.name;
+    editorStartSpeed.value = editorLevel.startSpeed;
+    editorFinishX.value = editorLevel.finishX;
+
+    const light = editorLevel.lights[editorSelected];
+    const inputs = [editorLightX, editorGreen, editorRed, editorOffset, editorDeleteLight];
+    inputs.forEach(input => { input.disabled = !light; });
+    if (light) {
+        editorLightLabel.textContent = `Light ${editorSelected + 1} of ${editorLevel.lights.length}`;
+        editorLightX.value = light.x;
+        editorGreen.value = light.greenDuration;
+        editorRed.value = light.redDuration;
+        editorOffset.value = light.offset;
+    } else {
+        editorLightLabel.textContent = 'No light selected';
+        inputs.forEach(input => { input.value = ''; });
+    }
+    editorCode.value = encodeLevelCode(editorLevel);
+
+    // Same checks as level packs; a level that breaks them can't be driven or shared
+    const problems = getLevelErrors(editorLevel, 'This level');
+    editorProblems.textContent = problems.join('\n');
+    editorTestDrive.disabled = problems.length > 0;
+    editorCopyLink.disabled = problems.length > 0;
+
+    drawEditor();
+}
+
+function drawEditor() {
+    drawEditorRoad();
+    drawEditorTimeline();
+    editorScrub.value = editorTime;
+    editorScrubTime.textContent = `${formatTime(editorTime)} s`;
+    editorPlay.textContent = editorPlaying ? 'Pause' : 'Play';
+}
+
+const EDITOR_LIGHT_COLORS = {
+    'red': '#ff3333',
+    'yellow': '#ffcc00',
+    'green': '#33ff33',
+    'blinking-yellow': '#ffcc00'
+};
+
+function drawEditorRoad() {
+    const c = editorCtx;
+    const width = editorCanvas.width;
+    const height = editorCanvas.height;
+    const scale = getEditorScale();
+    const roadY = height / 2;
+
+    c.fillStyle = '#16213e';
+    c.fillRect(0, 0, width, height);
+
+    // Road
+    c.fillStyle = '#555555';
+    c.fillRect(0, roadY - 20, width, 40);
+    c.strokeStyle = '#EEEEEE';
+    c.lineWidth = 2;
+    c.setLineDash([15, 10]);
+    c.beginPath();
+    c.moveTo(0, roadY);
+    c.lineTo(width, roadY);
+    c.stroke();
+    c.setLineDash([]);
+
+    // Distance ruler
+    c.fillStyle = '#888';
+    c.font = '11px sans-serif';
+    for (let x = 0; x * scale < width; x += 250) {
+        c.fillRect(x * scale, height - 18, 1, 6);
+        c.fillText(String(x), x * scale + 3, height - 6);
+    }
+
+    // Start
+    c.fillStyle = '#fff';
+    c.fillText('START', 4, roadY - 28);
+
+    // Finish line
+    const finishX = editorLevel.finishX * scale;
+    c.fillStyle = '#4ecca3';
+    c.fillRect(finishX - 3, roadY - 30, 6, 60);
+    c.fillText('FINISH', finishX - 18, roadY - 36);
+
+    // Lights, colored by their state at the preview time
+    editorLevel.lights.forEach((light, index) => {
+        const x = light.x * scale;
+        const state = getLightState(light, editorTime, currentDifficulty);
+        const blinkOn = state !== 'blinking-yellow' || Math.floor(editorTime * 4) % 2 === 0;
+
+        c.fillStyle = '#666';
+        c.fillRect(x - 2, roadY - 45, 4, 45);
+        c.fillStyle = '#222';
+        c.fillRect(x - 9, roadY - 62, 18, 20);
+        c.fillStyle = blinkOn ? EDITOR_LIGHT_COLORS[state] : '#332800';
+        c.beginPath();
+        c.arc(x, roadY - 52, 6, 0, Math.PI * 2);
+        c.fill();
+
+        if (index === editorSelected) {
+            c.strokeStyle = '#4ecca3';
+            c.lineWidth = 2;
+            c.strokeRect(x - 13, roadY - 66, 26, 70);
+        }
+
+        c.fillStyle = '#fff';
+        c.fillText(String(index + 1), x - 3, roadY + 36);
+    });
+}
+
+// One row per light showing its phases over time, with the scrubber position
+function drawEditorTimeline() {
+    const c = editorTimelineCtx;
+    const width = editorTimeline.width;
+    const height = editorTimeline.height;
+    const lights = editorLevel.lights;
+    const labelWidth = 30;
+    const rowHeight = lights.length > 0 ? Math.min(20, (height - 16) / lights.length) : 20;
+    const pxPerSecond = (width - labelWidth) / EDITOR_TIMELINE_SPAN;
+
+    c.fillStyle = '#16213e';
+    c.fillRect(0, 0, width, height);
+
+    c.font = '11px sans-serif';
+    lights.forEach((light, index) => {
+        const y = index * rowHeight;
+        c.fillStyle = index === editorSelected ? '#4ecca3' : '#888';
+        c.fillText(String(index + 1), 8, y + rowHeight * 0.7);
+
+        // Sample the real light state per pixel, on the selected difficulty,
+        // so the timeline matches the game exactly
+        for (let px = 0; px < width - labelWidth; px++) {
+            const state = getLightState(light, px / pxPerSecond, currentDifficulty);
+            c.fillStyle = state === 'blinking-yellow' ? '#b38f00' : EDITOR_LIGHT_COLORS[state];
+            c.fillRect(labelWidth + px, y + 2, 1, rowHeight - 4);
+        }
+    });
+
+    // Time axis
+    c.fillStyle = '#888';
+    for (let t = 0; t <= EDITOR_TIMELINE_SPAN; t += 5) {
+        c.fillText(`${t}s`, labelWidth + t * pxPerSecond - (t === EDITOR_TIMELINE_SPAN ? 22 : 0), height - 3);
+    }
+
+    // Scrubber cursor
+    const cursorX = labelWidth + editorTime * pxPerSecond;
+    c.fillStyle = '#fff';
+    c.fillRect(cursorX - 1, 0, 2, height - 14);
+}
+
+function animateEditorPreview(timestamp) {
+    if (!editorPlaying) return;
+    if (editorLastFrame) {
+        editorTime += (timestamp - editorLastFrame) / 1000;
+        if (editorTime > EDITOR_TIMELINE_SPAN) {
+            editorTime = 0;
+        }
+        drawEditor();
+    }
+    editorLastFrame = timestamp;
+    requestAnimationFrame(animateEditorPreview);
+}
+
+function toggleEditorPreview() {
+    editorPlaying = !editorPlaying;
+    editorLastFrame = 0;
+    if (editorPlaying) {
+        requestAnimationFrame(animateEditorPreview);
+    }
+    drawEditor();
+}
+
+// Read a number field, falling back to the current value when it's not valid
+function readEditorNumber(input, fallback, min) {
+    const value = parseFloat(input.value);
+    return Number.isFinite(value) ? Math.max(min, value) : fallback;
+}
+
+function updateEditorLevel(change) {
+    change();
+    sortEditorLights();
+    saveEditorLevel();
+    refreshEditor();
+}
+
+// Road canvas: click to add or select a light, drag lights and the finish line
+editorCanvas.addEventListener('pointerdown', (e) => {
+    const scale = getEditorScale();
+    const worldX = getEditorWorldX(e);
+    const hitRadius = 10 / scale;
+
+    const hit = editorLevel.lights.findIndex(light => Math.abs(light.x - worldX) <= hitRadius);
+    if (hit !== -1) {
+        editorSelected = hit;
+        editorDrag = { type: 'light' };
+    } else if (Math.abs(editorLevel.finishX - worldX) <= hitRadius) {
+        editorDrag = { type: 'finish' };
+    } else {
+        updateEditorLevel(() => {
+            const light = { x: snapEditorX(worldX), greenDuration: 3, redDuration: 2, offset: 0 };
+            editorLevel.lights.push(light);
+            editorSelected = editorLevel.lights.length - 1;
+        });
+        editorDrag = { type: 'light' };
+    }
+
+    editorCanvas.setPointerCapture(e.pointerId);
+    refreshEditor();
+});
+
+editorCanvas.addEventListener('pointermove', (e) => {
+    if (!editorDrag) return;
+    const worldX = snapEditorX(getEditorWorldX(e));
+    if (editorDrag.type === 'light') {
+        editorLevel.lights[editorSelected].x = worldX;
+        sortEditorLights();
+    } else {
+        editorLevel.finishX = Math.max(EDITOR_SNAP, worldX);
+    }
+    refreshEditor();
+});
+
+editorCanvas.addEventListener('pointerup', () => {
+    if (!editorDrag) return;
+    editorDrag = null;
+    saveEditorLevel();
+});
+
+editorTimeline.addEventListener('pointerdown', (e) => {
+    const rect = editorTimeline.getBoundingClientRect();
+    const canvasX = (e.clientX - rect.left) * (editorTimeline.width / rect.width);
+    editorTime = Math.max(0, Math.min(EDITOR_TIMELINE_SPAN, (canvasX - 30) / ((editorTimeline.width - 30) / EDITOR_TIMELINE_SPAN)));
+    drawEditor();
+});
+
+editorName.addEventListener('change', () => {
+    updateEditorLevel(() => { editorLevel.name = editorName.value.trim() || 'My level'; });
+});
+
+editorStartSpeed.addEventListener('change', () => {
+    updateEditorLevel(() => {
+        editorLevel.startSpeed = Math.min(MAX_START_SPEED, readEditorNumber(editorStartSpeed, editorLevel.startSpeed, 5));
+    });
+});
+
+editorFinishX.addEventListener('change', () => {
+    updateEditorLevel(() => { editorLevel.finishX = readEditorNumber(editorFinishX, editorLevel.finishX, EDITOR_SNAP); });
+});
+
+editorLightX.addEventListener('change', () => {
+    updateEditorLevel(() => {
+        const light = editorLevel.lights[editorSelected];
+        light.x = snapEditorX(readEditorNumber(editorLightX, light.x, 0));
+    });
+});
+
+editorGreen.addEventListener('change', () => {
+    updateEditorLevel(() => {
+        const light = editorLevel.lights[editorSelected];
+        light.greenDuration = readEditorNumber(editorGreen, light.greenDuration, EDITOR_MIN_DURATION);
+    });
+});
+
+editorRed.addEventListener('change', () => {
+    updateEditorLevel(() => {
+        const light = editorLevel.lights[editorSelected];
+        light.redDuration = readEditorNumber(editorRed, light.redDuration, EDITOR_MIN_DURATION);
+    });
+});
+
+editorOffset.addEventListener('change', () => {
+    updateEditorLevel(() => {
+        const light = editorLevel.lights[editorSelected];
+        light.offset = readEditorNumber(editorOffset, light.offset, 0);
+    });
+});
+
+editorDeleteLight.addEventListener('click', () => {
+    updateEditorLevel(() => {
+        editorLevel.lights.splice(editorSelected, 1);
+        editorSelected = -1;
+    });
+});
+
+editorScrub.addEventListener('input', () => {
+    editorTime = parseFloat(editorScrub.value);
+    drawEditor();
+});
+
+editorPlay.addEventListener('click', toggleEditorPreview);
+
+// Start from a copy of any level in the loaded packs, or from scratch
+function refreshEditorTemplates() {
+    editorTemplate.querySelectorAll('optgroup').forEach(group => group.remove());
+    levelPacks.forEach(pack => {
+        const group = document.createElement('optgroup');
+        group.label = pack.name;
+        pack.levels.forEach((level, index) => {
+            const option = document.createElement('option');
+            option.value = `${pack.id}/${index}`;
+            option.textContent = `${index + 1}. ${level.name}`;
+            group.appendChild(option);
+        });
+        editorTemplate.appendChild(group);
+    });
+}
+
+editorTemplate.addEventListener('change', () => {
+    const value = editorTemplate.value;
+    editorTemplate.value = '';
+    if (value === '') return;
+    updateEditorLevel(() => {
+        if (value === 'blank') {
+            editorLevel = createBlankLevel();
+        } else {
+            const [packId, index] = value.split('/');
+            editorLevel = copyLevel(getLevelPack(packId).levels[parseInt(index, 10)]);
+        }
+        editorSelected = -1;
+    });
+});
+
+// Level codes: copy a link that opens the level, or import a code (or link) from a friend
+function getLevelShareLink(level) {
+    return `${window.location.origin}${window.location.pathname}?level=${encodeLevelCode(level)}`;
+}
+
+editorCopyLink.addEventListener('click', () => {
+    const link = getLevelShareLink(editorLevel);
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(link) : Promise.reject();
+    copied.then(() => {
+        editorCodeStatus.textContent = 'Link copied - send it to a friend to play this level.';
+    }).catch(() => {
+        // Clipboard blocked (e.g. file:// pages); leave the link selected to copy by hand
+        editorCode.value = link;
+        editorCode.select();
+        editorCodeStatus.textContent = "Couldn't copy automatically - copy the selected link instead.";
+    });
+});
+
+document.getElementById('editorImportCode').addEventListener('click', () => {
+    try {
+        const level = decodeLevelCode(editorCode.value);
+        updateEditorLevel(() => {
+            editorLevel = level;
+            editorSelected = -1;
+        });
+        editorCodeStatus.textContent = `Imported "${level.name}".`;
+    } catch (e) {
+        editorCodeStatus.textContent = e.message;
+    }
+});
+
+editorTestDrive.addEventListener('click', testDriveEditorLevel);
+document.getElementById('editorButton').addEventListener('click', openEditor);
+document.getElementById('editorClose').addEventListener('click', () => {
+    closeEditor();
+    showStartScreen();
+});
@@ -0,0 +1,158 @@
+// Green Wave Endless Roads
+// Procedurally generated, never-ending levels. Every light is generated from
+// the road's seed alone, so two players with the same seed drive the same road.
+//
+// Each light is placed for a "pace car" driven through the real simulation:
+// the light's phase is set so the pace car reaches it on green, and the pass is
+// checked before the light is kept, so there is always a way through. The pace
+// car is the least capable vehicle and never goes faster than any vehicle can,
+// so one road works for every vehicle (and every difficulty: greens are the same
+// on all of them, and the pace car never stops). Further along the road greens
+// get shorter, lights closer and the pace car changes speed more often, so the
+// road asks for more speed changes.
+
+// Under Node, pull in the simulation; in the browser it's already loaded
+if (typeof module !== 'undefined' && module.exports && typeof createSimulation === 'undefined') {
+    Object.assign(global, require('./simulation.js'));
+}
+
+const ENDLESS_START_SPEED = 50; // km/h
+const ENDLESS_FIRST_LIGHT = 600; // px
+const ENDLESS_RAMP_DISTANCE = 30000; // px until the road reaches full difficulty
+const ENDLESS_MIN_PACE = 25; // km/h
+// The vehicle with the lowest top speed drives the pace car, held below every vehicle's top speed
+const ENDLESS_PACE_VEHICLE = Object.keys(VEHICLES).reduce((slowest, id) =>
+    (VEHICLES[id].maxSpeed < VEHICLES[slowest].maxSpeed ? id : slowest));
+const ENDLESS_MAX_PACE = Math.min(95, VEHICLES[ENDLESS_PACE_VEHICLE].maxSpeed); // km/h
+const PIXELS_PER_METER = PIXELS_PER_KMH * 3.6; // 1 km/h = 1/3.6 m/s
+
+// Seeded pseudo-random generator (FNV-1a hash of the seed into mulberry32)
+function createEndlessRandom(seed) {
+    let state = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+        state ^= seed.charCodeAt(i);
+        state = Math.imul(state, 0x01000193) >>> 0;
+    }
+
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Seeds are short and URL-safe so they can be shared in a link
+function isValidEndlessSeed(seed) {
+    return typeof seed === 'string' && /^[A-Za-z0-9_-]{1,32}$/.test(seed);
+}
+
+function createEndlessSeed() {
+    return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+}
+
+// A level with no finish; lights are added ahead of the car with extendEndlessLevel()
+// `headStart` (px) makes the road start out as hard as it would be that far along.
+function createEndlessLevel(seed, headStart = 0) {
+    const level = {
+        name: 'Endless',
+        startSpeed: ENDLESS_START_SPEED,
+        lights: [],
+        finishX: Infinity
+    };
+    level.endless = {
+        seed: seed,
+        random: createEndlessRandom(seed),
+        pace: createSimulation(level, ENDLESS_PACE_VEHICLE),
+        paceTarget: ENDLESS_START_SPEED,
+        headStart: headStart
+    };
+    return level;
+}
+
+// 0 at the start of the road, 1 once the road is at full difficulty
+function getEndlessDifficulty(x) {
+    return Math.min(1, x / ENDLESS_RAMP_DISTANCE);
+}
+
+function lerp(from, to, t) {
+    return from + (to - from) * t;
+}
+
+// The pace car holds its target speed with gas taps and firm braking
+function getPaceInput(state, target) {
+    return { gas: state.speed < target - 1, brake: state.speed > target + 3 };
+}
+
+function addEndlessLight(level) {
+    const generator = level.endless;
+    const random = generator.random;
+    const last = level.lights[level.lights.length - 1];
+    const difficulty = getEndlessDifficulty((last ? last.x : 0) + generator.headStart);
+
+    const x = last
+        ? last.x + Math.round(lerp(500, 260, difficulty) + random() * lerp(300, 120, difficulty))
+        : ENDLESS_FIRST_LIGHT;
+    const light = {
+        x: x,
+        greenDuration: Math.round((lerp(4, 1.5, difficulty) + random() * lerp(1.5, 0.5, difficulty)) * 10) / 10,
+        redDuration: Math.round((lerp(2, 3.5, difficulty) + random()) * 10) / 10,
+        offset: 0
+    };
+
+    // Now and then the pace car picks a new speed; more often and further off later on
+    if (random() < lerp(0.3, 0.8, difficulty)) {
+        const change = (random() * 2 - 1) * lerp(10, 35, difficulty);
+        generator.paceTarget = Math.max(ENDLESS_MIN_PACE, Math.min(ENDLESS_MAX_PACE, generator.paceTarget + change));
+    }
+
+    // Drive the pace car up to the tick on which its front reaches the new light
+    const pace = generator.pace;
+    let ahead = { ...pace };
+    stepSimulation(level, ahead, getPaceInput(ahead, generator.paceTarget));
+    while (getCarFront(ahead) <= x) {
+        Object.assign(pace, ahead);
+        ahead = { ...pace };
+        stepSimulation(level, ahead, getPaceInput(ahead, generator.paceTarget));
+    }
+
+    // Line the light up so the pace car arrives somewhere in the middle of its green
+    const cycleDuration = light.redDuration + YELLOW_BEFORE_GREEN + light.greenDuration + YELLOW_AFTER_GREEN;
+    const arrivalPhase = light.redDuration + YELLOW_BEFORE_GREEN + light.greenDuration * lerp(0.25, 0.75, random());
+    const offset = ((arrivalPhase - ahead.time) % cycleDuration + cycleDuration) % cycleDuration;
+    light.offset = Math.round(offset * 100) / 100;
+    level.lights.push(light);
+
+    // Check the light really is passable before moving on
+    const events = stepSimulation(level, pace, getPaceInput(pace, generator.paceTarget));
+    if (pace.status !== 'running' || !events.some(event => event.type === 'light-passed')) {
+        throw new Error(`Endless road "${generator.seed}" has an impassable light at x=${x}`);
+    }
+}
+
+// Make sure the road has lights at least up to `x`
+function extendEndlessLevel(level, x) {
+    while (level.lights.length === 0 || level.lights[level.lights.length - 1].x < x) {
+        addEndlessLight(level);
+    }
+}
+
+// Score of an endless run: whole meters driven
+function getEndlessDistance(x) {
+    return Math.floor(x / PIXELS_PER_METER);
+}
+
+// Allow endless roads to be generated and checked headless under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ENDLESS_RAMP_DISTANCE,
+        createEndlessRandom,
+        isValidEndlessSeed,
+        createEndlessSeed,
+        createEndlessLevel,
+        addEndlessLight,
+        extendEndlessLevel,
+        getEndlessDistance
+    };
+}
@@ -53,11 +53,148 @@ const lightsDisplay = document.getElementById('lightsDisplay');
 const totalLightsDisplay = document.getElementById('totalLightsDisplay');
 const levelDisplay = document.getElementById('levelDisplay');
 const timeDisplay = document.getElementById('timeDisplay');
+const distanceHud = document.getElementById('distanceHud');
+const distanceDisplay = document.getElementById('distanceDisplay');
 const messageDiv = document.getElementById('message');
 const messageTitle = document.getElementById('messageTitle');
 const messageText = document.getElementById('messageText');
 const messageButton = document.getElementById('messageButton');
 
+// Level packs: the built-in classic pack, packs shipped in levels/ and packs the
+// player loaded from a file (kept in localStorage so they survive a reload)
+const BUNDLED_PACK_FILES = ['levels/downtown.json'];
+const LOADED_PACKS_KEY = 'greenWaveLevelPacks';
+const SELECTED_PACK_KEY = 'greenWaveLevelPack';
+
+const levelPacks = [classicPack];
+let currentPack = classicPack; // Pack whose levels initLevel() plays
+
+function getLevelPack(id) {
+    return levelPacks.find(pack => pack.id === id) || null;
+}
+
+// Add a validated pack, replacing an older copy with the same id
+function addLevelPack(pack) {
+    const index = levelPacks.findIndex(existing => existing.id === pack.id);
+    if (index >= 0) {
+        levelPacks[index] = pack;
+    } else {
+        levelPacks.push(pack);
+    }
+}
+
+function getLoadedPacks() {
+    try {
+        const stored = localStorage.getItem(LOADED_PACKS_KEY);
+        return stored ? JSON.parse(stored) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveLoadedPack(pack) {
+    const packs = getLoadedPacks().filter(existing => existing.id !== pack.id);
+    packs.push(pack);
+    try {
+        localStorage.setItem(LOADED_PACKS_KEY, JSON.stringify(packs));
+    } catch (e) {
+        // localStorage might be unavailable
+    }
+}
+
+function getSelectedPackId() {
+    try {
+        return localStorage.getItem(SELECTED_PACK_KEY) || CLASSIC_PACK_ID;
+    } catch (e) {
+        return CLASSIC_PACK_ID;
+    }
+}
+
+function selectLevelPack(id) {
+    currentPack = getLevelPack(id) || classicPack;
+    try {
+        localStorage.setItem(SELECTED_PACK_KEY, currentPack.id);
+    } catch (e) {
+        // localStorage might be unavailable
+    }
+}
+
+// Vehicle driven in every mode (a key of VEHICLES in simulation.js), picked on the start screen
+const SELECTED_VEHICLE_KEY = 'greenWaveVehicle';
+
+function getSelectedVehicleId() {
+    try {
+        const id = localStorage.getItem(SELECTED_VEHICLE_KEY);
+        return Object.keys(VEHICLES).includes(id) ? id : DEFAULT_VEHICLE;
+    } catch (e) {
+        return DEFAULT_VEHICLE;
+    }
+}
+
+let currentVehicle = getSelectedVehicleId();
+
+function selectVehicle(id) {
+    currentVehicle = Object.keys(VEHICLES).includes(id) ? id : DEFAULT_VEHICLE;
+    try {
+        localStorage.setItem(SELECTED_VEHICLE_KEY, currentVehicle);
+    } catch (e) {
+        // localStorage might be unavailable
+    }
+}
+
+// Difficulty every mode is driven on (a key of DIFFICULTIES in simulation.js), picked on the start screen
+const SELECTED_DIFFICULTY_KEY = 'greenWaveDifficulty';
+
+function getSelectedDifficultyId() {
+    try {
+        const id = localStorage.getItem(SELECTED_DIFFICULTY_KEY);
+        return Object.keys(DIFFICULTIES).includes(id) ? id : DEFAULT_DIFFICULTY;
+    } catch (e) {
+        return DEFAULT_DIFFICULTY;
+    }
+}
+
+let currentDifficulty = getSelectedDifficultyId();
+
+function selectDifficulty(id) {
+    currentDifficulty = Object.keys(DIFFICULTIES).includes(id) ? id : DEFAULT_DIFFICULTY;
+    try {
+        localStorage.setItem(SELECTED_DIFFICULTY_KEY, currentDifficulty);
+    } catch (e) {
+        // localStorage might be unavailable
+    }
+}
+
+let currentSkin = getSelectedSkinId(); // Paint job from the garage (skins.js)
+
+// Records are kept per vehicle and difficulty. The defaults keep the plain keys, so
+// records from before vehicles and difficulties existed carry over; others get an
+// "@vehicle" and/or "@difficulty" suffix, in that order.
+function getVariantRecordKey(key, vehicle = currentVehicle, difficulty = currentDifficulty) {
+    if (vehicle !== DEFAULT_VEHICLE) key += `@${vehicle}`;
+    if (difficulty !== DEFAULT_DIFFICULTY) key += `@${difficulty}`;
+    return key;
+}
+
+// Records of the classic pack keep their original keys (the level number) so
+// existing best times and ghosts carry over; other packs are keyed by pack id
+function getRecordKey(level, pack = currentPack, vehicle = currentVehicle, difficulty = currentDifficulty) {
+    return getVariantRecordKey(pack.id === CLASSIC_PACK_ID ? String(level) : `${pack.id}/${level}`, vehicle, difficulty);
+}
+
+// Stats (stats.js) are kept per level, whichever vehicle drove it on whichever difficulty
+function getStatsKey(level = currentLevel, pack = currentPack) {
+    return getRecordKey(level, pack, DEFAULT_VEHICLE, DEFAULT_DIFFICULTY);
+}
+
+function getLeaderboardPath(pack, vehicle = currentVehicle, difficulty = currentDifficulty) {
+    const board = pack.id === CLASSIC_PACK_ID ? 'full-game' : `packs/${pack.id}`;
+    let path = 'green-wave-leaderboards';
+    if (vehicle !== DEFAULT_VEHICLE) path += `/vehicles/${vehicle}`;
+    if (difficulty !== DEFAULT_DIFFICULTY) path += `/difficulties/${difficulty}`;
+    return `${path}/${board}`;
+}
+
 // Best times storage
 const STORAGE_KEY = 'greenWaveBestTimes';
 
@@ -70,20 +207,184 @@ function getBestTimes() {
     }
 }
 
-function saveBestTime(level, time) {
+// `trace` is the car's position over the run, kept for the ghost car
+function saveBestTime(level, time, trace) {
     const bestTimes = getBestTimes();
-    if (!bestTimes[level] || time < bestTimes[level]) {
-        bestTimes[level] = time;
+    const key = getRecordKey(level);
+    if (!bestTimes[key] || time < bestTimes[key]) {
+        bestTimes[key] = time;
         try {
             localStorage.setItem(STORAGE_KEY, JSON.stringify(bestTimes));
         } catch (e) {
             // localStorage might be unavailable
         }
+        if (trace) {
+            saveBestRun(level, time, trace);
+        }
         return true; // New record
     }
     return false;
 }
 
+// Best run traces for the ghost car, stored apart from the best times
+// so the existing best-times format stays unchanged
+const BEST_RUNS_KEY = 'greenWaveBestRuns';
+const GHOST_SAMPLE_TICKS = 6; // Record the car's position every 0.1 s
+const GHOST_SETTING_KEY = 'greenWaveGhostEnabled';
+
+function getBestRuns() {
+    try {
+        const stored = localStorage.getItem(BEST_RUNS_KEY);
+        return stored ? JSON.parse(stored) : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function getBestRun(level) {
+    return getBestRuns()[getRecordKey(level)] || null;
+}
+
+function saveBestRun(level, time, trace) {
+    const bestRuns = getBestRuns();
+    bestRuns[getRecordKey(level)] = {
+        time: time,
+        sampleInterval: GHOST_SAMPLE_TICKS * SIM_TIMESTEP,
+        positions: trace.map(x => Math.round(x * 10) / 10)
+    };
+    try {
+        localStorage.setItem(BEST_RUNS_KEY, JSON.stringify(bestRuns));
+    } catch (e) {
+        // localStorage might be unavailable
+    }
+}
+
+// Best star rating per level, shown on the level select screen
+const BEST_STARS_KEY = 'greenWaveBestStars';
+
+function getBestStars() {
+    try {
+        const stored = localStorage.getItem(BEST_STARS_KEY);
+        return stored ? JSON.parse(stored) : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveBestStars(level, stars) {
+    const bestStars = getBestStars();
+    const key = getRecordKey(level);
+    if (bestStars[key] && stars <= bestStars[key]) return;
+    bestStars[key] = stars;
+    try {
+        localStorage.setItem(BEST_STARS_KEY, JSON.stringify(bestStars));
+    } catch (e) {
+        // localStorage might be unavailable
+    }
+}
+
+// Unlock rules, set by a pack's optional `unlock` field:
+//   { rule: 'previous' }            - finish a level to unlock the next (the default)
+//   { rule: 'all' }                 - every level is open
+//   { rule: 'stars', perLevel: n }  - level k needs (k - 1) * n stars across the pack
+// Returns why a level is locked, or null when it can be played.
+// Progress with any vehicle on any difficulty counts, so switching never locks levels again.
+function getLevelLock(levelNum, pack = currentPack) {
+    const unlock = pack.unlock || { rule: 'previous' };
+    if (levelNum === 1 || unlock.rule === 'all') return null;
+    const recordKeys = level => Object.keys(VEHICLES).flatMap(vehicle =>
+        Object.keys(DIFFICULTIES).map(difficulty => getRecordKey(level, pack, vehicle, difficulty)));
+
+    if (unlock.rule === 'stars') {
+        const bestStars = getBestStars();
+        const needed = (levelNum - 1) * unlock.perLevel;
+        const earned = pack.levels.reduce((sum, _, index) =>
+            sum + Math.max(...recordKeys(index + 1).map(key => bestStars[key] || 0)), 0);
+        return earned >= needed ? null : `Earn ${needed} \u2605 to unlock (${earned}/${needed})`;
+    }
+
+    const bestTimes = getBestTimes();
+    const finished = recordKeys(levelNum - 1).some(key => bestTimes[key] !== undefined);
+    return finished ? null : `Finish level ${levelNum - 1} to unlock`;
+}
+
+function isGhostEnabled() {
+    try {
+        return localStorage.getItem(GHOST_SETTING_KEY) !== 'false';
+    } catch (e) {
+        return true;
+    }
+}
+
+function setGhostEnabled(enabled) {
+    try {
+        localStorage.setItem(GHOST_SETTING_KEY, String(enabled));
+    } catch (e) {
+        // localStorage might be unavailable
+    }
+}
+
+// Best distance (m) reached on each endless road, by seed (and vehicle and difficulty, see getVariantRecordKey)
+const ENDLESS_BEST_KEY = 'greenWaveEndlessBest';
+
+function getEndlessBests() {
+    try {
+        const stored = localStorage.getItem(ENDLESS_BEST_KEY);
+        return stored ? JSON.parse(stored) : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveEndlessBest(seed, distance) {
+    const bests = getEndlessBests();
+    const key = getVariantRecordKey(seed);
+    if (bests[key] !== undefined && distance <= bests[key]) {
+        return false;
+    }
+    bests[key] = distance;
+    try {
+        localStorage.setItem(ENDLESS_BEST_KEY, JSON.stringify(bests));
+    } catch (e) {
+        // localStorage might be unavailable
+    }
+    return true; // New record
+}
+
+// Daily challenge results by YYYY-MM-DD: the day's one official attempt
+// ({ outcome, time, stars, vehicle, difficulty }), whichever vehicle and difficulty it
+// was driven with, and the best time of any run that day (see getVariantRecordKey)
+const DAILY_STORAGE_KEY = 'greenWaveDaily';
+
+function getDailyRecords() {
+    try {
+        const stored = localStorage.getItem(DAILY_STORAGE_KEY);
+        return stored ? JSON.parse(stored) : { official: {}, bestTimes: {} };
+    } catch (e) {
+        return { official: {}, bestTimes: {} };
+    }
+}
+
+function saveDailyRecords(records) {
+    try {
+        localStorage.setItem(DAILY_STORAGE_KEY, JSON.stringify(records));
+    } catch (e) {
+        // localStorage might be unavailable
+    }
+}
+
+// Days in a row with a won official attempt, up to today
+// (or up to yesterday while today's challenge hasn't been played)
+function getDailyStreak(records, today) {
+    let key = records.official[today] ? today : getPreviousDailyKey(today);
+    let streak = 0;
+    while (records.official[key] && records.official[key].outcome === 'won') {
+        streak++;
+        key = getPreviousDailyKey(key);
+    }
+    return streak;
+}
+
 function formatTime(seconds) {
     return seconds.toFixed(1);
 }
@@ -125,14 +426,14 @@ function validateUsername(username) {
 }
 
 // Firebase leaderboard functions
-async function submitFullGameToLeaderboard(username, totalTime, avgStars, levelData) {
+async function submitFullGameToLeaderboard(pack, vehicle, difficulty, username, totalTime, avgStars, levelData) {
     if (!firebaseAvailable || !db) {
         console.warn('Firebase not available');
         return false;
     }
 
     try {
-        const leaderboardRef = db.ref('green-wave-leaderboards/full-game');
+        const leaderboardRef = db.ref(getLeaderboardPath(pack, vehicle, difficulty));
 
         await leaderboardRef.push({
             username: username,
@@ -149,13 +450,13 @@ async function submitFullGameToLeaderboard(username, totalTime, avgStars, levelD
     }
 }
 
-async function fetchLeaderboard() {
+async function fetchLeaderboard(pack, vehicle, difficulty) {
     if (!firebaseAvailable || !db) {
         return [];
     }
 
     try {
-        const leaderboardRef = db.ref('green-wave-leaderboards/full-game');
+        const leaderboardRef = db.ref(getLeaderboardPath(pack, vehicle, difficulty));
 
         // Query top 10 by total time (ascending)
         const snapshot = await leaderboardRef
@@ -178,26 +479,6 @@ async function fetchLeaderboard() {
     }
 }
 
-// Calculate star rating based on driving smoothness
-// Lower totalSpeedChange = smoother driving = more stars
-function calculateStars(speedChange, levelDistance) {
-    // Normalize speed change by level distance for fair comparison across levels
-    // speedChange is in km/h accumulated, levelDistance in pixels
-    const normalizedChange = speedChange / (levelDistance / 100);
-
-    // Thresholds tuned for gameplay feel:
-    // < 20: very smooth driving, minimal corrections
-    // < 50: some adjustments needed
-    // >= 50: lots of speed changes
-    if (normalizedChange < 20) {
-        return 3;
-    } else if (normalizedChange < 50) {
-        return 2;
-    } else {
-        return 1;
-    }
-}
-
 function getStarDisplay(stars) {
     return '\u2605'.repeat(stars) + '\u2606'.repeat(3 - stars);
 }
@@ -205,7 +486,6 @@ function getStarDisplay(stars) {
 // Game constants
 const ROAD_Y = 250;
 const ROAD_HEIGHT = 100;
-const CAR_WIDTH = 100; // Longer car body to match wheel spacing
 const CAR_HEIGHT = 22; // Lower body height for better proportions
 const CAR_X = 150; // Fixed screen position of the car
 
@@ -215,33 +495,32 @@ let wheelRotation = 0; // Current wheel rotation angle in radians
 // Birds in the sky
 let birds = [];
 
-// Physics constants
-const MAX_SPEED = 120; // km/h
-const ACCELERATION = 40; // km/h per second
-const BRAKE_POWER = 60; // km/h per second
-const FRICTION = 5; // km/h per second (coasting slowdown)
-const MIN_SPEED_THRESHOLD = 2; // Below this, considered stopped
-
-// Traffic light timing constants
-const YELLOW_BEFORE_GREEN = 1.0; // Yellow phase before green (preparing to go)
-const YELLOW_AFTER_GREEN = 1.5; // Blinking yellow after green (warning)
-
 // Game state
-let gameState = 'playing'; // 'playing', 'won', 'lost', 'ending'
+let gameState = 'menu'; // 'menu' (start screen), 'preview', 'countdown', 'playing', 'paused', 'won', 'lost', 'ending', 'replay', 'editing', 'selecting', 'settings', 'garage', 'achievements', 'stats'
 let currentLevel = 1;
-let carSpeed = 50; // Starting speed in km/h
-let carWorldX = 0; // Car's position in the world
-let lightsPassed = 0;
-let trafficLights = [];
-let keys = { gas: false, brake: false };
-
-// Smoothness tracking for star rating
-let totalSpeedChange = 0; // Accumulated absolute speed changes
-let lastSpeed = 0; // Previous frame's speed for comparison
+let customLevel = null; // Level definition being played when it isn't a built-in level
+let customLevelReturn = null; // { label, action } to leave a custom level, e.g. back to the editor
+let endlessSeed = null; // Seed of the endless road being driven (its level is the customLevel)
+let dailyRun = null; // { key, official } while playing the daily challenge (its level is the customLevel)
+let sim = createSimulation(levels[0]); // Current run (car, lights passed, smoothness)
+let keys = { gas: false, brake: false }; // Pedal keys (or the on-screen buttons clicked with a mouse) held down
+let keyPedals = { gas: 0, brake: 0 }; // Pedal positions (0-1) from the held keys
+let touchPedals = { gas: 0, brake: 0 }; // Pedal positions (0-1) from the touch sliders
+let settings = loadSettings(); // Key bindings, HUD items, units and volume (settings.js)
+let simAccumulator = 0; // Frame time not yet consumed by fixed simulation ticks
+let runInputs = []; // Pedal state for every tick of the current run, for replays
+let runTrace = []; // Car position sampled every GHOST_SAMPLE_TICKS, for the ghost car
+let runAssisted = false; // The speed advisory was on at some point of the run, so it sets no records
+let ghostRun = null; // Best run on the current level, drawn as the ghost car
+let greenStreak = 0; // Lights passed since the run started or the last hard braking, for the music
+let hardBrakeTime = 0; // Seconds the brake has been held at speed
 
 // Full game session tracking
 let gameSession = {
     active: false,
+    pack: null, // Id of the pack being played through
+    vehicle: null, // Vehicle the whole run is driven with; its leaderboard gets the result
+    difficulty: null, // Difficulty the whole run is driven on, which also picks the leaderboard
     startTime: null,
     levels: [] // Array of {level, time, stars, smoothness}
 };
@@ -249,13 +528,18 @@ let gameSession = {
 function startGameSession() {
     gameSession = {
         active: true,
+        pack: currentPack.id,
+        vehicle: currentVehicle,
+        difficulty: currentDifficulty,
         startTime: Date.now(),
         levels: []
     };
 }
 
+// Only the next level in order counts, so replaying or skipping levels from the
+// level select (or switching vehicles or difficulties) can't complete a full game
 function addLevelToSession(level, time, stars, smoothness) {
-    if (gameSession.active) {
+    if (isSessionVariant() && level === gameSession.levels.length + 1) {
         gameSession.levels.push({
             level: level,
             time: parseFloat(time.toFixed(1)),
@@ -266,7 +550,20 @@ function addLevelToSession(level, time, stars, smoothness) {
 }
 
 function isSessionComplete() {
-    return gameSession.active && gameSession.levels.length === levels.length;
+    const pack = getLevelPack(gameSession.pack);
+    return gameSession.active && pack !== null && gameSession.levels.length === pack.levels.length;
+}
+
+// A full-game run so far: every level of the pack from level 1 up to the current one
+// (it carries on past locked levels, since it plays the whole pack in order)
+function isSessionInOrder() {
+    return isSessionVariant() && gameSession.levels.length === currentLevel;
+}
+
+// Whether the session is being played with the current pack, vehicle and difficulty
+function isSessionVariant() {
+    return gameSession.active && gameSession.pack === currentPack.id && gameSession.vehicle === currentVehicle &&
+        gameSession.difficulty === currentDifficulty;
 }
 
 function getSessionTotalTime() {
@@ -281,6 +578,9 @@ function getSessionAverageStars() {
 function resetGameSession() {
     gameSession = {
         active: false,
+        pack: null,
+        vehicle: null,
+        difficulty: null,
         startTime: null,
         levels: []
     };
@@ -289,137 +589,117 @@ function resetGameSession() {
 // Ending animation state
 let endingTime = 0;
 const ENDING_DURATION = 12; // seconds for full animation
-
-// Level definitions
-// Each light has: position (x), cycle timing (greenDuration, redDuration), and phase offset
-const levels = [
-    {
-        // Tutorial: Just one light with long green, teaches basic controls
-        name: "First light",
-        startSpeed: 40,
-        lights: [
-            { x: 600, greenDuration: 4, redDuration: 2, offset: 0 },
-        ],
-        finishX: 900
-    },
-    {
-        // Two lights, introduces timing between lights
-        name: "Easy start",
-        startSpeed: 40,
-        lights: [
-            { x: 500, greenDuration: 3.5, redDuration: 2, offset: 0 },
-            { x: 1000, greenDuration: 3.5, redDuration: 2, offset: 1.5 },
-        ],
-        finishX: 1300
-    },
-    {
-        // Three lights, first real challenge
-        name: "Finding the rhythm",
-        startSpeed: 45,
-        lights: [
-            { x: 500, greenDuration: 3, redDuration: 2, offset: 0 },
-            { x: 900, greenDuration: 3, redDuration: 2, offset: 1 },
-            { x: 1300, greenDuration: 3, redDuration: 2, offset: 2 },
-        ],
-        finishX: 1600
-    },
-    {
-        // Four lights with tighter timing
-        name: "Keep the pace",
-        startSpeed: 50,
-        lights: [
-            { x: 400, greenDuration: 2.5, redDuration: 2.5, offset: 0 },
-            { x: 700, greenDuration: 2.5, redDuration: 2.5, offset: 1.2 },
-            { x: 1000, greenDuration: 2.5, redDuration: 2.5, offset: 2.4 },
-            { x: 1300, greenDuration: 2.5, redDuration: 2.5, offset: 3.6 },
-        ],
-        finishX: 1600
-    },
-    {
-        // Mixed timing requires speed adjustment
-        name: "Speed adjustment",
-        startSpeed: 60,
-        lights: [
-            { x: 400, greenDuration: 2, redDuration: 3, offset: 0 },
-            { x: 750, greenDuration: 3, redDuration: 2, offset: 0.5 },
-            { x: 1100, greenDuration: 2, redDuration: 3, offset: 2 },
-            { x: 1400, greenDuration: 2.5, redDuration: 2.5, offset: 1 },
-            { x: 1700, greenDuration: 3, redDuration: 2, offset: 3 },
-        ],
-        finishX: 2000
-    },
-    {
-        // Long level with many lights
-        name: "The long road",
-        startSpeed: 55,
-        lights: [
-            { x: 350, greenDuration: 2, redDuration: 2, offset: 0 },
-            { x: 600, greenDuration: 2.5, redDuration: 2, offset: 0.8 },
-            { x: 850, greenDuration: 2, redDuration: 2.5, offset: 1.8 },
-            { x: 1100, greenDuration: 3, redDuration: 2, offset: 2.5 },
-            { x: 1400, greenDuration: 2, redDuration: 2, offset: 3.5 },
-            { x: 1700, greenDuration: 2.5, redDuration: 2.5, offset: 4.2 },
-            { x: 2000, greenDuration: 2, redDuration: 3, offset: 5 },
-        ],
-        finishX: 2300
-    },
-    {
-        // Short greens, requires patience and precise timing
-        name: "Patience required",
-        startSpeed: 70,
-        lights: [
-            { x: 400, greenDuration: 1.5, redDuration: 3, offset: 0 },
-            { x: 700, greenDuration: 2, redDuration: 2.5, offset: 1.5 },
-            { x: 950, greenDuration: 1.5, redDuration: 3, offset: 0.5 },
-            { x: 1250, greenDuration: 2.5, redDuration: 2, offset: 2.5 },
-            { x: 1500, greenDuration: 2, redDuration: 2.5, offset: 3.5 },
-            { x: 1800, greenDuration: 1.5, redDuration: 3, offset: 1 },
-        ],
-        finishX: 2100
-    }
-];
+let endingNote = ''; // Added to the ending's final message, e.g. a skin the full game unlocked
 
 // Initialize level
 function initLevel(levelNum) {
-    if (levelNum > levels.length) {
-        levelNum = levels.length; // Stay on last level
+    if (levelNum > currentPack.levels.length) {
+        levelNum = currentPack.levels.length; // Stay on last level
     }
 
     currentLevel = levelNum;
-    const level = levels[levelNum - 1];
-
-    carSpeed = level.startSpeed;
-    carWorldX = 0;
-    lightsPassed = 0;
-    gameState = 'playing';
-    gameTime = 0;
-
-    // Clear key states to prevent car from accelerating immediately on restart
-    keys.gas = false;
-    keys.brake = false;
-
-    // Reset smoothness tracking
-    totalSpeedChange = 0;
-    lastSpeed = level.startSpeed;
+    customLevel = null;
+    customLevelReturn = null;
+    endlessSeed = null;
+    dailyRun = null;
 
     // Start a new game session when beginning level 1
     if (levelNum === 1) {
         startGameSession();
     }
 
-    // Create traffic lights for this level
-    trafficLights = level.lights.map(config => ({
-        x: config.x,
-        greenDuration: config.greenDuration,
-        redDuration: config.redDuration,
-        offset: config.offset,
-        passed: false
-    }));
+    startRun(currentPack.levels[levelNum - 1], levelNum, getBestRun(levelNum));
+}
+
+// Play a level that isn't one of the built-in levels (editor test drives, shared links).
+// Custom runs don't count toward best times or the leaderboard.
+// `returnTo` is an optional { label, action } offered to leave the level.
+function initCustomLevel(level, returnTo = null) {
+    customLevel = level;
+    customLevelReturn = returnTo;
+    endlessSeed = null;
+    dailyRun = null;
+    resetGameSession();
+    startRun(level, 'Custom', null);
+}
+
+// Drive an endless road; its lights are generated from the seed as the car gets near
+function initEndless(seed) {
+    customLevel = createEndlessLevel(seed);
+    customLevelReturn = { label: 'New road', action: () => initEndless(createEndlessSeed()) };
+    endlessSeed = seed;
+    dailyRun = null;
+    resetGameSession();
+    startRun(customLevel, 'Endless', null);
+}
+
+// Play today's daily challenge. The first run of the day is the official attempt;
+// it's recorded as soon as it starts, so restarting can't be used to retry it.
+function initDaily() {
+    const key = getDailyKey();
+    const records = getDailyRecords();
+    const official = !records.official[key];
+    if (official) {
+        records.official[key] = { outcome: 'abandoned' };
+        saveDailyRecords(records);
+    }
+
+    customLevel = createDailyLevel(key);
+    customLevelReturn = null;
+    endlessSeed = null;
+    dailyRun = { key: key, official: official };
+    resetGameSession();
+    startRun(customLevel, official ? 'Daily' : 'Daily practice', null);
+}
+
+function restartLevel() {
+    if (endlessSeed !== null) {
+        initEndless(endlessSeed);
+    } else if (dailyRun) {
+        initDaily();
+    } else if (customLevel) {
+        initCustomLevel(customLevel, customLevelReturn);
+    } else {
+        initLevel(currentLevel);
+    }
+}
+
+// Level definition of the current run
+function getCurrentLevel() {
+    return customLevel || currentPack.levels[currentLevel - 1];
+}
+
+function startRun(level, label, ghost) {
+    sim = createSimulation(level, currentVehicle, currentDifficulty);
+    simAccumulator = 0;
+    runInputs = [];
+    runTrace = [0];
+    runAssisted = false;
+    ghostRun = ghost;
+    closeReplay();
+    closePauseMenu();
+    beginRunIntro(level);
+    initAudio(settings);
+    startMusic(level, sim.difficulty);
+    greenStreak = 0;
+    hardBrakeTime = 0;
+    startGameLoop();
+    reportAchievementEvent({ type: 'run-start', mode: getRunMode(), vehicle: currentVehicle });
+    markRunAssisted();
+    if (getRunMode() === 'level') {
+        recordLevelAttempt(getStatsKey());
+    }
+
+    // Clear key states to prevent car from accelerating immediately on restart
+    keys.gas = false;
+    keys.brake = false;
+    keyPedals = { gas: 0, brake: 0 };
 
     // Update HUD
-    levelDisplay.textContent = levelNum;
-    totalLightsDisplay.textContent = trafficLights.length;
-    lightsDisplay.textContent = 0;
+    levelDisplay.textContent = label;
+    updateLevelHud(level);
+    updateHud();
+    updateCustomLevelReturn();
 
     // Initialize birds
     initBirds();
@@ -427,61 +707,30 @@ function initLevel(levelNum) {
     hideMessage();
 }
 
-// Get light state at current time
-// Cycle: Red → Yellow (before green) → Green → Blinking Yellow → Red
-function getLightState(light, time) {
-    const cycleDuration = light.redDuration + YELLOW_BEFORE_GREEN + light.greenDuration + YELLOW_AFTER_GREEN;
-    const adjustedTime = (time + light.offset) % cycleDuration;
-
-    // Phase boundaries
-    const redEnd = light.redDuration;
-    const yellowBeforeEnd = redEnd + YELLOW_BEFORE_GREEN;
-    const greenEnd = yellowBeforeEnd + light.greenDuration;
-    // After greenEnd until cycleDuration is blinking yellow
-
-    if (adjustedTime < redEnd) {
-        return 'red';
-    } else if (adjustedTime < yellowBeforeEnd) {
-        return 'yellow'; // Solid yellow before green
-    } else if (adjustedTime < greenEnd) {
-        return 'green';
-    } else {
-        return 'blinking-yellow'; // Warning before red
-    }
+// What kind of run is being played, for achievements
+function getRunMode() {
+    if (endlessSeed !== null) return 'endless';
+    if (dailyRun) return 'daily';
+    return customLevel ? 'custom' : 'level';
 }
 
-// Get time until next change
-function getTimeUntilChange(light, time) {
-    const cycleDuration = light.redDuration + YELLOW_BEFORE_GREEN + light.greenDuration + YELLOW_AFTER_GREEN;
-    const adjustedTime = (time + light.offset) % cycleDuration;
-
-    // Phase boundaries
-    const redEnd = light.redDuration;
-    const yellowBeforeEnd = redEnd + YELLOW_BEFORE_GREEN;
-    const greenEnd = yellowBeforeEnd + light.greenDuration;
+// HUD button to leave a custom level, shown while one is being played
+const customReturnBtn = document.getElementById('customReturn');
 
-    if (adjustedTime < redEnd) {
-        return redEnd - adjustedTime;
-    } else if (adjustedTime < yellowBeforeEnd) {
-        return yellowBeforeEnd - adjustedTime;
-    } else if (adjustedTime < greenEnd) {
-        return greenEnd - adjustedTime;
+function updateCustomLevelReturn() {
+    if (customLevel && customLevelReturn) {
+        customReturnBtn.textContent = customLevelReturn.label;
+        customReturnBtn.style.display = '';
     } else {
-        return cycleDuration - adjustedTime;
+        customReturnBtn.style.display = 'none';
     }
 }
 
-// Get the duration of the current phase (for progress bar)
-function getCurrentPhaseDuration(light, time) {
-    const state = getLightState(light, time);
-    switch (state) {
-        case 'red': return light.redDuration;
-        case 'yellow': return YELLOW_BEFORE_GREEN;
-        case 'green': return light.greenDuration;
-        case 'blinking-yellow': return YELLOW_AFTER_GREEN;
-        default: return 1;
+customReturnBtn.addEventListener('click', () => {
+    if (customLevelReturn) {
+        customLevelReturn.action();
     }
-}
+});
 
 // Detect device type
 const isMobileDevice = () => {
@@ -511,32 +760,55 @@ setupMobileControls();
 window.addEventListener('resize', setupMobileControls);
 window.addEventListener('orientationchange', setupMobileControls);
 
-// Input handling - Keyboard
+// Ignore game shortcuts while typing in a text field (username, editor)
+function isTypingTarget(target) {
+    return target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT');
+}
+
+// Input handling - Keyboard, through the key bindings in the settings
+// Screens that take over the keyboard from the game
+function isMenuOpen() {
+    return gameState === 'menu' || gameState === 'editing' || gameState === 'selecting' || gameState === 'paused' ||
+        gameState === 'settings' || gameState === 'garage' || gameState === 'achievements' ||
+        gameState === 'stats';
+}
+
 document.addEventListener('keydown', (e) => {
-    if (e.key === 'w' || e.key === 'W' || e.key === 'ArrowUp') {
+    if (isTypingTarget(e.target) || isMenuOpen()) return;
+    const action = getKeyAction(settings, e.key);
+    if (action === 'gas') {
         keys.gas = true;
         e.preventDefault();
     }
-    if (e.key === 's' || e.key === 'S' || e.key === 'ArrowDown') {
+    if (action === 'brake') {
         keys.brake = true;
         e.preventDefault();
     }
-    if (e.key === 'r' || e.key === 'R') {
-        initLevel(currentLevel);
+    if (action === 'restart') {
+        restartLevel();
+    }
+    if (action === 'ghost') {
+        toggleGhost();
+    }
+    if (e.key === ' ' && gameState === 'replay') {
+        toggleReplayPause();
+        e.preventDefault();
     }
 });
 
 document.addEventListener('keyup', (e) => {
-    if (e.key === 'w' || e.key === 'W' || e.key === 'ArrowUp') {
+    const action = getKeyAction(settings, e.key);
+    if (action === 'gas') {
         keys.gas = false;
     }
-    if (e.key === 's' || e.key === 'S' || e.key === 'ArrowDown') {
+    if (action === 'brake') {
         keys.brake = false;
     }
 });
 
-// Debug: Press 'E' to preview ending animation
+// Debug: Press 'E' during a run to preview ending animation (unless E is bound to something)
 document.addEventListener('keydown', (e) => {
+    if (gameState !== 'playing' || isTypingTarget(e.target) || getKeyAction(settings, e.key) !== null) return;
     if (e.key === 'e' || e.key === 'E') {
         gameState = 'ending';
         endingTime = 0;
@@ -548,16 +820,32 @@ const gasButton = document.getElementById('gasButton');
 const brakeButton = document.getElementById('brakeButton');
 const restartButton = document.getElementById('restartButton');
 
-// Prevent double-tap zoom on mobile buttons
-gasButton.addEventListener('touchstart', (e) => {
-    e.preventDefault();
-    keys.gas = true;
-}, { passive: false });
+// Touch controls are vertical sliders: the higher up the button the finger is,
+// the further the pedal is pressed. preventDefault stops double-tap zoom.
+function getTouchPedal(button, e) {
+    const touch = e.targetTouches[0];
+    if (!touch) return 0;
+    const rect = button.getBoundingClientRect();
+    return Math.max(0.1, Math.min(1, (rect.bottom - touch.clientY) / rect.height));
+}
 
-gasButton.addEventListener('touchend', (e) => {
-    e.preventDefault();
-    keys.gas = false;
-}, { passive: false });
+function addTouchPedal(button, pedal) {
+    const press = (e) => {
+        e.preventDefault();
+        touchPedals[pedal] = getTouchPedal(button, e);
+    };
+    const release = (e) => {
+        e.preventDefault();
+        touchPedals[pedal] = e.targetTouches.length > 0 ? getTouchPedal(button, e) : 0;
+    };
+    button.addEventListener('touchstart', press, { passive: false });
+    button.addEventListener('touchmove', press, { passive: false });
+    button.addEventListener('touchend', release, { passive: false });
+    button.addEventListener('touchcancel', release, { passive: false });
+}
+
+addTouchPedal(gasButton, 'gas');
+addTouchPedal(brakeButton, 'brake');
 
 gasButton.addEventListener('mousedown', () => {
     keys.gas = true;
@@ -571,16 +859,6 @@ gasButton.addEventListener('mouseleave', () => {
     keys.gas = false;
 });
 
-brakeButton.addEventListener('touchstart', (e) => {
-    e.preventDefault();
-    keys.brake = true;
-}, { passive: false });
-
-brakeButton.addEventListener('touchend', (e) => {
-    e.preventDefault();
-    keys.brake = false;
-}, { passive: false });
-
 brakeButton.addEventListener('mousedown', () => {
     keys.brake = true;
 });
@@ -594,9 +872,112 @@ brakeButton.addEventListener('mouseleave', () => {
 });
 
 restartButton.addEventListener('click', () => {
-    initLevel(currentLevel);
+    restartLevel();
 });
 
+// Gamepad (gamepad.js), polled once per frame
+let gamepadInput = { gas: 0, brake: 0 };
+
+// Pedal positions for this tick: the furthest any keyboard, touch or gamepad input presses each pedal
+function getPedalInput() {
+    return {
+        gas: Math.max(keyPedals.gas, touchPedals.gas, gamepadInput.gas),
+        brake: Math.max(keyPedals.brake, touchPedals.brake, gamepadInput.brake)
+    };
+}
+
+// A held key presses its pedal down over KEY_PEDAL_RAMP seconds, so short taps
+// feather it; with ramping turned off in the settings, keys floor the pedal at once
+const KEY_PEDAL_RAMP = 0.5;
+
+function updateKeyPedals() {
+    const step = settings.keyRamp ? SIM_TIMESTEP / KEY_PEDAL_RAMP : 1;
+    keyPedals.gas = keys.gas ? Math.min(1, keyPedals.gas + step) : 0;
+    keyPedals.brake = keys.brake ? Math.min(1, keyPedals.brake + step) : 0;
+}
+
+function updateGamepad() {
+    const pad = readGamepad();
+    const pressed = pollPadButtons(pad);
+    gamepadInput = pad && (gameState === 'playing' || isRunStarting()) ? getPadPedals(pad, settings.gamepad) : { gas: 0, brake: 0 };
+    pressed.forEach(handlePadButton);
+}
+
+function handlePadButton(button) {
+    if (gameState === 'preview') {
+        skipPreview();
+    } else if (button === PAD_START) {
+        if (gameState === 'playing') {
+            pauseGame();
+        } else if (gameState === 'paused' && resumeCountdown === null) {
+            resumeGame();
+        }
+    } else if (gameState === 'playing' || gameState === 'countdown') {
+        if (button === settings.gamepad.restart) {
+            restartLevel();
+        }
+    } else if (button === PAD_DPAD_UP || button === PAD_DPAD_LEFT) {
+        movePadFocus(-1);
+    } else if (button === PAD_DPAD_DOWN || button === PAD_DPAD_RIGHT) {
+        movePadFocus(1);
+    } else if (button === PAD_A) {
+        // Press the focused button, or the screen's first one if nothing has focus yet
+        const focusables = getPadFocusables();
+        const target = focusables.includes(document.activeElement) ? document.activeElement : focusables[0];
+        if (target) {
+            target.click();
+        }
+    } else if (button === PAD_B) {
+        // Back out of the open screen
+        if (gameState === 'selecting') {
+            closeLevelSelect();
+        } else if (gameState === 'settings') {
+            closeSettings();
+        } else if (gameState === 'garage') {
+            closeGarage();
+        } else if (gameState === 'achievements') {
+            closeAchievements();
+        } else if (gameState === 'stats') {
+            closeStats();
+        } else if (gameState === 'paused' && resumeCountdown === null) {
+            resumeGame();
+        }
+    } else if (button === settings.gamepad.restart && (gameState === 'won' || gameState === 'lost')) {
+        restartLevel();
+    }
+}
+
+// Menu navigation: the D-pad moves focus through the buttons of whatever screen is open
+function getPadMenu() {
+    switch (gameState) {
+        case 'menu': return document.getElementById('startContent');
+        case 'paused': return resumeCountdown === null ? document.getElementById('pauseContent') : null;
+        case 'selecting': return document.getElementById('levelSelectContent');
+        case 'settings': return document.getElementById('settingsContent');
+        case 'garage': return document.getElementById('garageContent');
+        case 'achievements': return document.getElementById('achievementsContent');
+        case 'stats': return document.getElementById('statsContent');
+        case 'won':
+        case 'lost': return messageDiv;
+        default: return null;
+    }
+}
+
+function getPadFocusables() {
+    const menu = getPadMenu();
+    if (!menu) return [];
+    return Array.from(menu.querySelectorAll('button, select, input'))
+        .filter(element => !element.disabled && element.getClientRects().length > 0);
+}
+
+function movePadFocus(direction) {
+    const focusables = getPadFocusables();
+    if (focusables.length === 0) return;
+    const current = focusables.indexOf(document.activeElement);
+    const next = current === -1 ? 0 : (current + direction + focusables.length) % focusables.length;
+    focusables[next].focus();
+}
+
 // Leaderboard button handler
 const leaderboardBtn = document.getElementById('viewLeaderboard');
 if (leaderboardBtn) {
@@ -698,15 +1079,19 @@ async function showLeaderboard() {
     const entriesDiv = document.getElementById('leaderboardEntries');
     const closeBtn = document.getElementById('leaderboardClose');
 
-    levelNum.textContent = 'Full game';
+    // Each vehicle class and difficulty has its own leaderboard
+    const pack = currentPack;
+    const vehicle = currentVehicle;
+    const difficulty = currentDifficulty;
+    levelNum.textContent = `${pack.id === CLASSIC_PACK_ID ? 'Full game' : pack.name} (${getVehicle(vehicle).name}, ${getDifficulty(difficulty).name})`;
     entriesDiv.innerHTML = '<p class="leaderboard-empty">Loading...</p>';
     modal.style.display = 'flex';
 
     // Fetch leaderboard data
-    const entries = await fetchLeaderboard();
+    const entries = await fetchLeaderboard(pack, vehicle, difficulty);
 
     if (entries.length === 0) {
-        entriesDiv.innerHTML = '<p class="leaderboard-empty">No entries yet. Complete all 7 levels to be the first!</p>';
+        entriesDiv.innerHTML = `<p class="leaderboard-empty">No entries yet. Complete all ${pack.levels.length} levels to be the first!</p>`;
         setupLeaderboardCloseHandlers(modal, closeBtn);
         return;
     }
@@ -765,18 +1150,35 @@ function setupLeaderboardCloseHandlers(modal, closeBtn) {
 // Game over states
 async function winLevel() {
     gameState = 'won';
-    const finishTime = gameTime;
-    const isNewRecord = saveBestTime(currentLevel, finishTime);
-    const bestTimes = getBestTimes();
-    const bestTime = bestTimes[currentLevel];
+    const finishTime = sim.time;
+    playWinSting();
+
+    if (dailyRun) {
+        winDaily(finishTime);
+        return;
+    }
+    if (customLevel) {
+        winCustomLevel(finishTime);
+        return;
+    }
+
+    recordLevelWin(getStatsKey());
+    if (runAssisted) {
+        winAssistedLevel(finishTime);
+        return;
+    }
+    runTrace.push(sim.x);
+    const isNewRecord = saveBestTime(currentLevel, finishTime, runTrace);
+    const bestTime = getBestTimes()[getRecordKey(currentLevel)];
 
     // Calculate star rating based on smoothness
-    const level = levels[currentLevel - 1];
-    const stars = calculateStars(totalSpeedChange, level.finishX);
-    const starDisplay = getStarDisplay(stars);
+    const level = getCurrentLevel();
+    const stars = calculateStars(getDrivingScore(sim), level.finishX, sim.difficulty);
+    const starDisplay = getStarDisplay(stars) + getIdleNote();
+    saveBestStars(currentLevel, stars);
 
     // Add this level to the game session
-    addLevelToSession(currentLevel, finishTime, stars, totalSpeedChange);
+    addLevelToSession(currentLevel, finishTime, stars, sim.totalSpeedChange);
 
     let timeText = `Time: ${formatTime(finishTime)} s`;
     if (isNewRecord) {
@@ -785,7 +1187,17 @@ async function winLevel() {
         timeText += ` (Best: ${formatTime(bestTime)} s)`;
     }
 
-    // Check if all 7 levels are complete
+    // Skins this win unlocked are announced with the result, or after the ending for a full game
+    const fullGame = isSessionComplete() ? { pack: gameSession.pack, time: getSessionTotalTime() } : null;
+    const unlockText = checkSkinUnlocks(fullGame);
+    reportAchievementEvent({ type: 'win', stars: stars, fullGame: fullGame !== null, classicThreeStars: hasClassicThreeStars() });
+    if (fullGame) {
+        endingNote = unlockText;
+    } else {
+        timeText += unlockText;
+    }
+
+    // Check if every level of the pack is complete
     if (isSessionComplete()) {
         // Full game completed! Show username prompt and submit
         const totalTime = getSessionTotalTime();
@@ -795,6 +1207,9 @@ async function winLevel() {
             showUsernamePrompt(
                 async (username) => {
                     const submitted = await submitFullGameToLeaderboard(
+                        currentPack,
+                        gameSession.vehicle,
+                        gameSession.difficulty,
                         username,
                         totalTime,
                         avgStars,
@@ -822,38 +1237,975 @@ async function winLevel() {
     }
 }
 
-// Continue win flow after leaderboard handling
-function proceedAfterWin(timeText, starDisplay, submitted, totalTime, avgStars) {
-    const level = levels[currentLevel - 1];
-
-    let messageText = `"${level.name}"\n${starDisplay}\n${timeText}`;
+// Level select screen: every level of the current pack with its records and lock state
+const levelSelectModal = document.getElementById('levelSelectModal');
+const levelSelectPack = document.getElementById('levelSelectPack');
+const levelGrid = document.getElementById('levelGrid');
+let levelSelectReturn = null; // gameState to go back to when the screen is closed
 
-    // Add full game stats if all levels complete
-    if (totalTime !== null) {
-        messageText += `\n\nFull Game Complete!`;
-        messageText += `\nTotal Time: ${formatTime(totalTime)} s`;
-        messageText += `\nAverage: ${getStarDisplay(Math.round(avgStars))}`;
+function openLevelSelect() {
+    // A run in progress waits in the pause menu
+    if (gameState === 'playing') {
+        pauseGame();
     }
-
-    if (submitted) {
-        messageText += '\n\nScore submitted to leaderboard!';
+    if (gameState !== 'selecting') {
+        levelSelectReturn = gameState;
     }
+    gameState = 'selecting';
+    startScreen.classList.add('hidden');
+    pauseModal.style.display = 'none';
+    levelSelectPack.textContent = currentPack.name;
+    renderLevelGrid();
+    levelSelectModal.style.display = 'flex';
+}
 
-    if (currentLevel >= levels.length) {
-        // Start the ending animation instead of showing a message
-        gameState = 'ending';
+function closeLevelSelect() {
+    levelSelectModal.style.display = 'none';
+    if (levelSelectReturn === 'menu') {
+        showStartScreen();
+        return;
+    }
+    gameState = levelSelectReturn;
+    if (gameState === 'paused') {
+        pauseGame();
+    }
+}
+
+function renderLevelGrid() {
+    const bestTimes = getBestTimes();
+    const bestStars = getBestStars();
+    levelGrid.innerHTML = '';
+
+    currentPack.levels.forEach((level, index) => {
+        const levelNum = index + 1;
+        const key = getRecordKey(levelNum);
+        const lock = getLevelLock(levelNum);
+
+        const card = document.createElement('button');
+        card.className = lock ? 'level-card locked' : 'level-card';
+        card.disabled = lock !== null;
+
+        const number = document.createElement('span');
+        number.className = 'level-card-number';
+        number.textContent = lock ? '\ud83d\udd12' : levelNum;
+        const name = document.createElement('span');
+        name.className = 'level-card-name';
+        name.textContent = level.name;
+        const stars = document.createElement('span');
+        stars.className = 'level-card-stars';
+        stars.textContent = bestStars[key] ? getStarDisplay(bestStars[key]) : '';
+        const detail = document.createElement('span');
+        detail.className = 'level-card-detail';
+        if (lock) {
+            detail.textContent = lock;
+        } else {
+            detail.textContent = bestTimes[key] ? `Best: ${formatTime(bestTimes[key])} s` : 'Not finished yet';
+        }
+
+        [number, name, stars, detail].forEach(part => card.appendChild(part));
+        card.addEventListener('click', () => playSelectedLevel(levelNum));
+        levelGrid.appendChild(card);
+    });
+}
+
+function playSelectedLevel(levelNum) {
+    levelSelectModal.style.display = 'none';
+    initLevel(levelNum);
+}
+
+// Full-game runs always start from level 1, which starts a new game session
+document.getElementById('fullGameButton').addEventListener('click', () => playSelectedLevel(1));
+document.getElementById('levelSelectClose').addEventListener('click', closeLevelSelect);
+document.getElementById('levelSelectHud').addEventListener('click', openLevelSelect);
+
+levelSelectModal.addEventListener('click', (e) => {
+    if (e.target === levelSelectModal) {
+        closeLevelSelect();
+    }
+});
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && gameState === 'selecting') {
+        closeLevelSelect();
+        e.preventDefault(); // Don't let the pause menu take the same key press
+    }
+});
+
+// Pause menu. Pausing stops the simulation ticks, so the run time and every
+// light's phase hold still until the run resumes after a short countdown.
+const RESUME_COUNTDOWN = 3; // seconds
+const START_COUNTDOWN = 3; // seconds
+const pauseModal = document.getElementById('pauseModal');
+const resumeCountdownDisplay = document.getElementById('resumeCountdown');
+const pauseHint = document.getElementById('pauseHint');
+let resumeCountdown = null; // Seconds left before a paused run continues, null while the menu is open
+
+function pauseGame() {
+    if (gameState !== 'playing' && gameState !== 'paused') return;
+    gameState = 'paused';
+    resumeCountdown = null;
+    keys.gas = false;
+    keys.brake = false;
+    keyPedals = { gas: 0, brake: 0 };
+    touchPedals = { gas: 0, brake: 0 };
+    resumeCountdownDisplay.style.display = 'none';
+    pauseHint.textContent = `Press ${formatBindings(settings, 'pause')} to resume`;
+    pauseModal.style.display = 'flex';
+}
+
+function resumeGame() {
+    pauseModal.style.display = 'none';
+    resumeCountdown = RESUME_COUNTDOWN;
+    resumeCountdownDisplay.textContent = RESUME_COUNTDOWN;
+    resumeCountdownDisplay.style.display = 'flex';
+}
+
+function updateResumeCountdown(deltaTime) {
+    resumeCountdown -= deltaTime;
+    if (resumeCountdown > 0) {
+        resumeCountdownDisplay.textContent = Math.ceil(resumeCountdown);
+        return;
+    }
+    resumeCountdown = null;
+    resumeCountdownDisplay.style.display = 'none';
+    simAccumulator = 0;
+    gameState = 'playing';
+}
+
+function closePauseMenu() {
+    pauseModal.style.display = 'none';
+    resumeCountdownDisplay.style.display = 'none';
+    resumeCountdown = null;
+    previewHint.style.display = 'none';
+    startCountdown = null;
+}
+
+// Before a run the camera flies along the road with the lights cycling, so the
+// player can read their timing, then swings back to the car. Only a level's first
+// run gets the flyover; every run gets the countdown, with the car held at its start speed.
+const PREVIEW_PAN_SPEED = 600; // px/s
+const PREVIEW_HOLD_TIME = 0.8; // s at the finish before swinging back
+const PREVIEW_RETURN_TIME = 0.8; // s
+const PREVIEW_FINISH_MARGIN = 150; // px of road shown past the finish
+const previewHint = document.getElementById('previewHint');
+let previewTime = 0; // s since the flyover began; the lights cycle on this clock while it runs
+let previewedLevel = null; // Level definition flown over last, so restarts skip the flyover
+let startCountdown = null; // Seconds left before the run starts
+
+function isRunStarting() {
+    return gameState === 'preview' || gameState === 'countdown';
+}
+
+function beginRunIntro(level) {
+    if (settings.preview && !level.endless && level !== previewedLevel) {
+        previewedLevel = level;
+        previewTime = 0;
+        gameState = 'preview';
+        previewHint.textContent = `Scouting the route - press ${formatBindings(settings, 'gas')} to skip`;
+        previewHint.style.display = 'block';
+    } else {
+        beginCountdown();
+    }
+}
+
+function beginCountdown() {
+    previewHint.style.display = 'none';
+    if (!settings.countdown) {
+        gameState = 'playing';
+        return;
+    }
+    gameState = 'countdown';
+    startCountdown = START_COUNTDOWN;
+    resumeCountdownDisplay.textContent = START_COUNTDOWN;
+    resumeCountdownDisplay.style.display = 'flex';
+}
+
+function skipPreview() {
+    if (gameState === 'preview') {
+        beginCountdown();
+    }
+}
+
+// Camera path of the flyover: ease out to the finish, hold, ease back to the car
+function getPreviewTimes(level) {
+    const carCamera = sim.x - CAR_X;
+    const finishCamera = Math.max(carCamera, level.finishX + PREVIEW_FINISH_MARGIN - canvas.width);
+    const panTime = (finishCamera - carCamera) / PREVIEW_PAN_SPEED;
+    return { carCamera, finishCamera, panTime, total: panTime + PREVIEW_HOLD_TIME + PREVIEW_RETURN_TIME };
+}
+
+function easeInOut(t) {
+    return t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t);
+}
+
+function getCameraX(level) {
+    if (gameState !== 'preview') return sim.x - CAR_X;
+    const { carCamera, finishCamera, panTime } = getPreviewTimes(level);
+    if (previewTime < panTime) {
+        return carCamera + (finishCamera - carCamera) * easeInOut(previewTime / panTime);
+    }
+    const back = Math.min(1, Math.max(0, previewTime - panTime - PREVIEW_HOLD_TIME) / PREVIEW_RETURN_TIME);
+    return finishCamera + (carCamera - finishCamera) * easeInOut(back);
+}
+
+// Clock the traffic lights are drawn at
+function getLightClock() {
+    return gameState === 'preview' ? previewTime : sim.time;
+}
+
+function updatePreview(deltaTime) {
+    previewTime += deltaTime;
+    const input = getPedalInput();
+    if (keys.gas || input.gas > 0 || previewTime >= getPreviewTimes(getCurrentLevel()).total) {
+        beginCountdown();
+    }
+}
+
+function updateStartCountdown(deltaTime) {
+    startCountdown -= deltaTime;
+    if (startCountdown > 0) {
+        resumeCountdownDisplay.textContent = Math.ceil(startCountdown);
+        return;
+    }
+    startCountdown = null;
+    resumeCountdownDisplay.style.display = 'none';
+    simAccumulator = 0;
+    gameState = 'playing';
+}
+
+// Leave the game for the start screen; nothing runs behind it
+function showStartScreen() {
+    closePauseMenu();
+    hideMessage();
+    closeReplay();
+    gameState = 'menu';
+    startScreen.classList.remove('hidden');
+    refreshDailyStatus();
+}
+
+document.getElementById('pauseResume').addEventListener('click', resumeGame);
+document.getElementById('pauseRestart').addEventListener('click', () => {
+    closePauseMenu();
+    restartLevel();
+});
+document.getElementById('pauseLevelSelect').addEventListener('click', openLevelSelect);
+document.getElementById('pauseSettings').addEventListener('click', openSettings);
+document.getElementById('pauseQuit').addEventListener('click', showStartScreen);
+document.getElementById('pauseHud').addEventListener('click', pauseGame);
+
+document.addEventListener('keydown', (e) => {
+    if (isTypingTarget(e.target) || e.defaultPrevented) return;
+    if (getKeyAction(settings, e.key) !== 'pause') return;
+    if (gameState === 'playing') {
+        pauseGame();
+    } else if (gameState === 'paused' && resumeCountdown === null) {
+        resumeGame();
+    }
+});
+
+// Pause when the player switches tab or window; a countdown in progress goes back to the menu
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+        pauseGame();
+    }
+});
+window.addEventListener('blur', pauseGame);
+
+// Settings panel: key bindings, HUD items, units and volume. Every change is saved
+// straight away; the rules for bindings live in settings.js.
+const settingsModal = document.getElementById('settingsModal');
+const bindingList = document.getElementById('bindingList');
+const bindingStatus = document.getElementById('bindingStatus');
+const hudToggles = document.getElementById('hudToggles');
+const unitsSelect = document.getElementById('unitsSelect');
+const volumeInput = document.getElementById('volumeInput');
+const volumeDisplay = document.getElementById('volumeDisplay');
+const sfxVolumeInput = document.getElementById('sfxVolumeInput');
+const sfxVolumeDisplay = document.getElementById('sfxVolumeDisplay');
+const musicVolumeInput = document.getElementById('musicVolumeInput');
+const musicVolumeDisplay = document.getElementById('musicVolumeDisplay');
+const muteInput = document.getElementById('muteInput');
+const padPedalsSelect = document.getElementById('padPedalsSelect');
+const padRestartSelect = document.getElementById('padRestartSelect');
+const padRumbleInput = document.getElementById('padRumbleInput');
+const keyRampInput = document.getElementById('keyRampInput');
+const previewInput = document.getElementById('previewInput');
+const countdownInput = document.getElementById('countdownInput');
+const assistInput = document.getElementById('assistInput');
+
+Object.keys(PAD_PEDAL_MAPPINGS).forEach(id => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = PAD_PEDAL_MAPPINGS[id];
+    padPedalsSelect.appendChild(option);
+});
+PAD_RESTART_BUTTONS.forEach(({ index, label }) => {
+    const option = document.createElement('option');
+    option.value = index;
+    option.textContent = label;
+    padRestartSelect.appendChild(option);
+});
+let settingsReturn = null; // gameState to go back to when the panel is closed
+let bindingCapture = null; // { action, slot } while waiting for a key to bind
+
+function openSettings() {
+    settingsReturn = gameState;
+    gameState = 'settings';
+    pauseModal.style.display = 'none';
+    bindingCapture = null;
+    bindingStatus.textContent = '';
+    renderSettings();
+    settingsModal.style.display = 'flex';
+}
+
+function closeSettings() {
+    settingsModal.style.display = 'none';
+    bindingCapture = null;
+    gameState = settingsReturn;
+    if (gameState === 'paused') {
+        pauseGame();
+    }
+}
+
+function changeSettings() {
+    saveSettings(settings);
+    applyHudSettings();
+    setAudioVolume(settings);
+    updateSoundToggle();
+    updateHud();
+    renderSettings();
+    refreshVehicleSelect();
+}
+
+function renderSettings() {
+    bindingList.innerHTML = '';
+    KEY_ACTIONS.forEach(({ id, label }) => {
+        const row = document.createElement('div');
+        row.className = 'binding-row';
+        const name = document.createElement('span');
+        name.textContent = label;
+        row.appendChild(name);
+
+        for (let slot = 0; slot < MAX_KEYS_PER_ACTION; slot++) {
+            const key = settings.keys[id][slot];
+            const button = document.createElement('button');
+            const capturing = bindingCapture && bindingCapture.action === id && bindingCapture.slot === slot;
+            button.className = capturing ? 'binding-key capturing' : 'binding-key';
+            button.textContent = capturing ? 'Press a key' : (key ? formatKeyName(key) : '\u2014');
+            button.addEventListener('click', () => {
+                bindingCapture = { action: id, slot: slot };
+                bindingStatus.className = '';
+                bindingStatus.textContent = `Press a key for ${label} (Esc cancels, Backspace clears)`;
+                renderSettings();
+            });
+            row.appendChild(button);
+        }
+        bindingList.appendChild(row);
+    });
+
+    hudToggles.innerHTML = '';
+    HUD_ITEMS.forEach(({ id, label }) => {
+        const toggle = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = settings.hud[id];
+        checkbox.addEventListener('change', () => {
+            settings.hud[id] = checkbox.checked;
+            changeSettings();
+        });
+        toggle.appendChild(checkbox);
+        toggle.appendChild(document.createTextNode(` ${label}`));
+        hudToggles.appendChild(toggle);
+    });
+
+    unitsSelect.value = settings.units;
+    volumeInput.value = Math.round(settings.volume * 100);
+    volumeDisplay.textContent = `${Math.round(settings.volume * 100)}%`;
+    sfxVolumeInput.value = Math.round(settings.sfxVolume * 100);
+    sfxVolumeDisplay.textContent = `${Math.round(settings.sfxVolume * 100)}%`;
+    musicVolumeInput.value = Math.round(settings.musicVolume * 100);
+    musicVolumeDisplay.textContent = `${Math.round(settings.musicVolume * 100)}%`;
+    muteInput.checked = settings.muted;
+    padPedalsSelect.value = settings.gamepad.pedals;
+    padRestartSelect.value = settings.gamepad.restart;
+    padRumbleInput.checked = settings.gamepad.rumble;
+    keyRampInput.checked = settings.keyRamp;
+    previewInput.checked = settings.preview;
+    countdownInput.checked = settings.countdown;
+    assistInput.checked = settings.assist;
+}
+
+function captureBinding(e) {
+    const { action, slot } = bindingCapture;
+    bindingCapture = null;
+    let error = null;
+    if (e.key === 'Escape') {
+        bindingStatus.textContent = '';
+    } else if (e.key === 'Backspace' || e.key === 'Delete') {
+        error = settings.keys[action][slot] ? unbindKey(settings, action, slot) : null;
+    } else {
+        error = bindKey(settings, action, slot, e.key);
+    }
+
+    bindingStatus.className = error ? 'error' : '';
+    bindingStatus.textContent = error || '';
+    if (error) {
+        renderSettings();
+    } else {
+        changeSettings();
+    }
+}
+
+document.addEventListener('keydown', (e) => {
+    if (gameState !== 'settings') return;
+    if (bindingCapture) {
+        captureBinding(e);
+        e.preventDefault();
+    } else if (e.key === 'Escape') {
+        closeSettings();
+        e.preventDefault(); // Don't let the pause menu take the same key press
+    }
+});
+
+unitsSelect.addEventListener('change', () => {
+    settings.units = unitsSelect.value;
+    changeSettings();
+});
+
+volumeInput.addEventListener('input', () => {
+    settings.volume = parseInt(volumeInput.value, 10) / 100;
+    changeSettings();
+});
+
+sfxVolumeInput.addEventListener('input', () => {
+    settings.sfxVolume = parseInt(sfxVolumeInput.value, 10) / 100;
+    changeSettings();
+});
+
+musicVolumeInput.addEventListener('input', () => {
+    settings.musicVolume = parseInt(musicVolumeInput.value, 10) / 100;
+    changeSettings();
+});
+
+muteInput.addEventListener('change', () => {
+    settings.muted = muteInput.checked;
+    changeSettings();
+});
+
+padPedalsSelect.addEventListener('change', () => {
+    settings.gamepad.pedals = padPedalsSelect.value;
+    changeSettings();
+});
+
+padRestartSelect.addEventListener('change', () => {
+    settings.gamepad.restart = parseInt(padRestartSelect.value, 10);
+    changeSettings();
+});
+
+padRumbleInput.addEventListener('change', () => {
+    settings.gamepad.rumble = padRumbleInput.checked;
+    changeSettings();
+});
+
+keyRampInput.addEventListener('change', () => {
+    settings.keyRamp = keyRampInput.checked;
+    changeSettings();
+});
+
+previewInput.addEventListener('change', () => {
+    settings.preview = previewInput.checked;
+    changeSettings();
+});
+
+countdownInput.addEventListener('change', () => {
+    settings.countdown = countdownInput.checked;
+    changeSettings();
+});
+
+assistInput.addEventListener('change', () => {
+    settings.assist = assistInput.checked;
+    changeSettings();
+    // Turned on from the pause menu: the run is assisted even if it's turned off again before resuming
+    if (settingsReturn === 'paused') {
+        markRunAssisted();
+    }
+});
+
+document.getElementById('settingsReset').addEventListener('click', () => {
+    settings = getDefaultSettings();
+    bindingCapture = null;
+    bindingStatus.textContent = 'Settings reset to defaults';
+    bindingStatus.className = '';
+    changeSettings();
+});
+
+document.getElementById('settingsClose').addEventListener('click', closeSettings);
+document.getElementById('settingsButton').addEventListener('click', openSettings);
+
+// Garage: pick the skin every vehicle is painted in; locked skins say how to earn them
+const garageModal = document.getElementById('garageModal');
+const skinGrid = document.getElementById('skinGrid');
+
+function openGarage() {
+    gameState = 'garage';
+    renderGarage();
+    garageModal.style.display = 'flex';
+}
+
+function closeGarage() {
+    garageModal.style.display = 'none';
+    gameState = 'menu';
+}
+
+function renderGarage() {
+    const unlocks = getUnlocks();
+    skinGrid.innerHTML = '';
+
+    CAR_SKINS.forEach(skin => {
+        const unlocked = isSkinUnlocked(skin.id, unlocks);
+        const card = document.createElement('button');
+        card.className = 'level-card';
+        if (!unlocked) card.classList.add('locked');
+        if (skin.id === currentSkin) card.classList.add('selected');
+        card.disabled = !unlocked;
+
+        const swatch = document.createElement('span');
+        swatch.className = 'skin-swatch';
+        swatch.style.background = `linear-gradient(${skin.palette.main} 65%, ${skin.palette.dark} 65%)`;
+        const name = document.createElement('span');
+        name.className = 'level-card-name';
+        name.textContent = unlocked ? skin.name : `\ud83d\udd12 ${skin.name}`;
+        const detail = document.createElement('span');
+        detail.className = 'level-card-detail';
+        if (!unlocked) {
+            detail.textContent = describeSkinUnlock(skin.unlock);
+        } else {
+            detail.textContent = skin.id === currentSkin ? 'Selected' : 'Unlocked';
+        }
+
+        [swatch, name, detail].forEach(part => card.appendChild(part));
+        card.addEventListener('click', () => {
+            currentSkin = skin.id;
+            saveSelectedSkinId(skin.id);
+            renderGarage();
+        });
+        skinGrid.appendChild(card);
+    });
+}
+
+document.getElementById('garageButton').addEventListener('click', openGarage);
+document.getElementById('garageClose').addEventListener('click', closeGarage);
+
+garageModal.addEventListener('click', (e) => {
+    if (e.target === garageModal) {
+        closeGarage();
+    }
+});
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && gameState === 'garage') {
+        closeGarage();
+        e.preventDefault();
+    }
+});
+
+// Achievements (achievements.js): gameplay events go in, a toast comes up for each one earned
+const toastContainer = document.getElementById('toastContainer');
+const TOAST_DURATION = 4000; // ms
+
+function reportAchievementEvent(event) {
+    recordAchievementEvent(event).forEach(achievement => {
+        showToast(`\ud83c\udfc6 ${achievement.name}`, achievement.description);
+    });
+}
+
+function showToast(title, detail) {
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    const titleLine = document.createElement('div');
+    titleLine.className = 'toast-title';
+    titleLine.textContent = title;
+    const detailLine = document.createElement('div');
+    detailLine.className = 'toast-detail';
+    detailLine.textContent = detail;
+    toast.appendChild(titleLine);
+    toast.appendChild(detailLine);
+    toastContainer.appendChild(toast);
+
+    // Fade in on the next frame, out again before it's removed
+    requestAnimationFrame(() => toast.classList.add('visible'));
+    setTimeout(() => toast.classList.remove('visible'), TOAST_DURATION);
+    setTimeout(() => toast.remove(), TOAST_DURATION + 300);
+}
+
+// Achievements page: everything in the catalogue, with progress towards lifetime goals
+const achievementsModal = document.getElementById('achievementsModal');
+const achievementGrid = document.getElementById('achievementGrid');
+
+function openAchievements() {
+    gameState = 'achievements';
+    renderAchievements();
+    achievementsModal.style.display = 'flex';
+}
+
+function closeAchievements() {
+    achievementsModal.style.display = 'none';
+    gameState = 'menu';
+}
+
+function renderAchievements() {
+    const data = getAchievementData();
+    const earnedCount = ACHIEVEMENTS.filter(achievement => data.earned[achievement.id]).length;
+    document.getElementById('achievementSummary').textContent =
+        `${earnedCount} of ${ACHIEVEMENTS.length} earned - ${data.totals.lightsPassed} lights passed, ${data.totals.wins} wins`;
+    achievementGrid.innerHTML = '';
+
+    ACHIEVEMENTS.forEach(achievement => {
+        const earnedAt = data.earned[achievement.id];
+        const card = document.createElement('div');
+        card.className = 'level-card';
+        if (earnedAt) {
+            card.classList.add('selected');
+        } else {
+            card.classList.add('locked');
+        }
+
+        const name = document.createElement('span');
+        name.className = 'level-card-name';
+        name.textContent = earnedAt ? `\ud83c\udfc6 ${achievement.name}` : achievement.name;
+        const description = document.createElement('span');
+        description.className = 'level-card-detail';
+        description.textContent = achievement.description;
+        const detail = document.createElement('span');
+        detail.className = 'level-card-detail';
+        if (earnedAt) {
+            detail.textContent = `Earned ${new Date(earnedAt).toLocaleDateString()}`;
+        } else if (achievement.goal !== undefined) {
+            detail.textContent = `${Math.min(achievement.progress(data.totals), achievement.goal)} / ${achievement.goal}`;
+        }
+
+        [name, description, detail].forEach(part => card.appendChild(part));
+        achievementGrid.appendChild(card);
+    });
+}
+
+document.getElementById('achievementsButton').addEventListener('click', openAchievements);
+document.getElementById('achievementsClose').addEventListener('click', closeAchievements);
+
+achievementsModal.addEventListener('click', (e) => {
+    if (e.target === achievementsModal) {
+        closeAchievements();
+    }
+});
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && gameState === 'achievements') {
+        closeAchievements();
+        e.preventDefault();
+    }
+});
+
+// Stats page: attempts and fails for every level of every loaded pack, with a
+// heatmap of red-light fails laid over the level's lights
+const statsModal = document.getElementById('statsModal');
+const statsList = document.getElementById('statsList');
+
+function openStats() {
+    gameState = 'stats';
+    renderStats();
+    statsModal.style.display = 'flex';
+}
+
+function closeStats() {
+    statsModal.style.display = 'none';
+    gameState = 'menu';
+}
+
+function formatCount(count, singular, plural) {
+    return `${count} ${count === 1 ? singular : plural}`;
+}
+
+function renderStats() {
+    const stats = getStats();
+    let attempts = 0;
+    let wins = 0;
+    let fails = 0;
+    statsList.innerHTML = '';
+
+    levelPacks.forEach(pack => {
+        const heading = document.createElement('h3');
+        heading.className = 'stats-pack';
+        heading.textContent = pack.name;
+        statsList.appendChild(heading);
+
+        pack.levels.forEach((level, index) => {
+            const levelStats = getLevelStats(stats, getStatsKey(index + 1, pack));
+            attempts += levelStats.attempts;
+            wins += levelStats.wins;
+            fails += getTotalFails(levelStats);
+            statsList.appendChild(createLevelStatsRow(level, index + 1, levelStats));
+        });
+    });
+
+    document.getElementById('statsSummary').textContent = attempts === 0
+        ? 'No runs yet - drive a level and its numbers show up here'
+        : `${formatCount(attempts, 'attempt', 'attempts')} - ${formatCount(wins, 'win', 'wins')}, ${formatCount(fails, 'fail', 'fails')}`;
+}
+
+function createLevelStatsRow(level, levelNum, levelStats) {
+    const row = document.createElement('div');
+    row.className = 'stats-level';
+
+    const title = document.createElement('div');
+    title.className = 'stats-level-title';
+    title.textContent = `${levelNum}. ${level.name}`;
+    const numbers = document.createElement('div');
+    numbers.className = 'stats-level-numbers';
+    if (levelStats.attempts === 0) {
+        numbers.textContent = 'Not played yet';
+    } else {
+        const winRate = Math.round(levelStats.wins / levelStats.attempts * 100);
+        numbers.textContent = `${formatCount(levelStats.attempts, 'attempt', 'attempts')} \u00b7 ` +
+            `${formatCount(levelStats.wins, 'win', 'wins')} (${winRate}%) \u00b7 ` +
+            `Red lights: ${levelStats.fails[FAIL_RED_LIGHT]} \u00b7 Stopped: ${levelStats.fails[FAIL_STOPPED]}`;
+        // Only Hard fails on blinking yellow, so most players never see this one
+        if (levelStats.fails[FAIL_BLINKING]) {
+            numbers.textContent += ` \u00b7 Blinking yellow: ${levelStats.fails[FAIL_BLINKING]}`;
+        }
+    }
+
+    // One marker per light at its place along the road, redder for more red-light fails there
+    const heatmap = document.createElement('div');
+    heatmap.className = 'heatmap';
+    getLightHeat(levelStats, level.lights.length).forEach(({ count, heat }, index) => {
+        const marker = document.createElement('span');
+        marker.className = 'heatmap-light';
+        marker.style.left = `${level.lights[index].x / level.finishX * 100}%`;
+        marker.style.background = count > 0 ? `rgba(255, 68, 68, ${0.25 + heat * 0.75})` : 'rgba(78, 204, 163, 0.3)';
+        marker.textContent = count;
+        marker.title = `Light ${index + 1}: ${formatCount(count, 'red-light fail', 'red-light fails')}`;
+        heatmap.appendChild(marker);
+    });
+
+    [title, numbers, heatmap].forEach(part => row.appendChild(part));
+    return row;
+}
+
+document.getElementById('statsButton').addEventListener('click', openStats);
+document.getElementById('statsClose').addEventListener('click', closeStats);
+
+statsModal.addEventListener('click', (e) => {
+    if (e.target === statsModal) {
+        closeStats();
+    }
+});
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && gameState === 'stats') {
+        closeStats();
+        e.preventDefault();
+    }
+});
+
+// Continue win flow after leaderboard handling
+function proceedAfterWin(timeText, starDisplay, submitted, totalTime, avgStars) {
+    const level = getCurrentLevel();
+
+    let messageText = `"${level.name}"\n${starDisplay}\n${timeText}`;
+
+    // Add full game stats if all levels complete
+    if (totalTime !== null) {
+        messageText += `\n\nFull Game Complete!`;
+        messageText += `\nTotal Time: ${formatTime(totalTime)} s`;
+        messageText += `\nAverage: ${getStarDisplay(Math.round(avgStars))}`;
+    }
+
+    if (submitted) {
+        messageText += '\n\nScore submitted to leaderboard!';
+    }
+
+    if (totalTime !== null) {
+        // Start the ending animation instead of showing a message
+        gameState = 'ending';
         endingTime = 0;
         hideMessage();
         resetGameSession();
         return;
-    } else {
+    } else if (currentLevel < currentPack.levels.length && (isSessionInOrder() || getLevelLock(currentLevel + 1) === null)) {
         showMessage(
             'Level complete!',
             messageText,
             'Next level',
             () => initLevel(currentLevel + 1)
         );
+    } else {
+        showMessage('Level complete!', messageText, 'Level select', openLevelSelect);
+    }
+}
+
+// Unlock the skins earned by the run just won (see skins.js); returns a line for the result message
+function checkSkinUnlocks(fullGame = null) {
+    // A level 3-starred with several vehicles or difficulties still counts once
+    const bestStars = getBestStars();
+    const threeStarLevels = new Set(Object.keys(bestStars)
+        .filter(key => bestStars[key] === 3)
+        .map(key => key.split('@')[0]));
+    const earned = unlockSkins({
+        threeStarLevels: threeStarLevels.size,
+        usedBrake: runInputs.some(input => quantizePedal(input.brake) > 0),
+        fullGame: fullGame
+    });
+    if (earned.length === 0) return '';
+    const names = earned.map(skin => skin.name).join(', ');
+    return earned.length === 1
+        ? `\n\nNew skin unlocked: ${names} - pick it in the garage`
+        : `\n\nNew skins unlocked: ${names} - pick them in the garage`;
+}
+
+// Whether every classic level has 3 stars, with any vehicle on any difficulty
+function hasClassicThreeStars() {
+    const bestStars = getBestStars();
+    return classicPack.levels.every((level, index) => Object.keys(bestStars)
+        .some(key => key.split('@')[0] === String(index + 1) && bestStars[key] === 3));
+}
+
+// Line under the stars on difficulties where idling costs stars, once the car has stood still
+function getIdleNote() {
+    if (!getDifficulty(sim.difficulty).idlePenalty || sim.idleTime === 0) return '';
+    return `\nIdling: ${formatTime(sim.idleTime)} s, ${sim.idleFuel.toFixed(1)} ml of fuel`;
+}
+
+// Mark the current run as assisted once the speed advisory is on during it
+function markRunAssisted() {
+    if (settings.assist && !runAssisted) {
+        runAssisted = true;
+        reportAchievementEvent({ type: 'assist' });
+    }
+}
+
+// Line in place of the stars for runs driven with the speed advisory
+const ASSISTED_NOTE = 'Speed advisory on - practice run, no stars or records';
+
+// Assisted runs are practice: no stars, best time, ghost, unlocks or full-game progress
+function winAssistedLevel(finishTime) {
+    const level = getCurrentLevel();
+    const messageText = `"${level.name}"\n${ASSISTED_NOTE}\nTime: ${formatTime(finishTime)} s`;
+    if (currentLevel < currentPack.levels.length && getLevelLock(currentLevel + 1) === null) {
+        showMessage('Level complete!', messageText, 'Next level', () => initLevel(currentLevel + 1));
+    } else {
+        showMessage('Level complete!', messageText, 'Drive again', restartLevel);
+    }
+}
+
+// Custom levels have no records or next level to go to
+function winCustomLevel(finishTime) {
+    const level = getCurrentLevel();
+    const stars = calculateStars(getDrivingScore(sim), level.finishX, sim.difficulty);
+    const starDisplay = runAssisted ? ASSISTED_NOTE : getStarDisplay(stars) + getIdleNote();
+    const messageText = `"${level.name}"\n${starDisplay}\nTime: ${formatTime(finishTime)} s`;
+
+    if (customLevelReturn) {
+        showMessage('Level complete!', messageText, customLevelReturn.label, customLevelReturn.action);
+    } else {
+        showMessage('Level complete!', messageText, 'Drive again', restartLevel);
+    }
+}
+
+function formatDailyStreak(streak) {
+    return streak === 1 ? '1 day' : `${streak} days`;
+}
+
+// Today's official attempt, for the start screen and practice results
+function formatDailyAttempt(attempt) {
+    if (!attempt) return 'not played yet';
+    if (attempt.outcome === 'won') {
+        const variant = [];
+        if (attempt.vehicle && attempt.vehicle !== DEFAULT_VEHICLE) variant.push(getVehicle(attempt.vehicle).name);
+        if (attempt.difficulty && attempt.difficulty !== DEFAULT_DIFFICULTY) variant.push(getDifficulty(attempt.difficulty).name);
+        return `${getStarDisplay(attempt.stars)} ${formatTime(attempt.time)} s${variant.length > 0 ? ` (${variant.join(', ')})` : ''}`;
     }
+    if (attempt.outcome === 'abandoned') return 'abandoned';
+    if (attempt.outcome === 'assisted') return 'finished with the speed advisory';
+    return 'wave broken';
+}
+
+function winDaily(finishTime) {
+    const level = getCurrentLevel();
+    const stars = calculateStars(getDrivingScore(sim), level.finishX, sim.difficulty);
+    const records = getDailyRecords();
+    const key = dailyRun.key;
+    const bestKey = getVariantRecordKey(key);
+    const bestTime = records.bestTimes[bestKey];
+    const isNewRecord = !runAssisted && (!bestTime || finishTime < bestTime);
+    if (isNewRecord) {
+        records.bestTimes[bestKey] = finishTime;
+    }
+    // An assisted official attempt uses up the day without scoring
+    if (dailyRun.official && runAssisted) {
+        records.official[key] = { outcome: 'assisted' };
+    } else if (dailyRun.official) {
+        records.official[key] = { outcome: 'won', time: parseFloat(finishTime.toFixed(1)), stars: stars, vehicle: currentVehicle, difficulty: currentDifficulty };
+    }
+    saveDailyRecords(records);
+
+    let messageText = `"${level.name}"\n${runAssisted ? ASSISTED_NOTE : getStarDisplay(stars) + getIdleNote()}\nTime: ${formatTime(finishTime)} s`;
+    if (dailyRun.official) {
+        messageText += '\nMore runs today are practice.';
+    } else {
+        if (isNewRecord) {
+            messageText += ' - New best today!';
+        } else if (bestTime) {
+            messageText += ` (Best today: ${formatTime(bestTime)} s)`;
+        }
+        messageText += `\nOfficial attempt: ${formatDailyAttempt(records.official[key])}`;
+    }
+    messageText += `\n\nStreak: ${formatDailyStreak(getDailyStreak(records, key))}`;
+    if (!runAssisted) {
+        messageText += checkSkinUnlocks();
+    }
+    reportAchievementEvent({ type: 'win', stars: stars, fullGame: false, classicThreeStars: hasClassicThreeStars() });
+
+    showMessage('Daily challenge complete!', messageText, 'Practice', initDaily);
+}
+
+function loseDaily(reason) {
+    gameState = 'lost';
+    const records = getDailyRecords();
+    let messageText = reason;
+    if (dailyRun.official) {
+        records.official[dailyRun.key] = { outcome: 'lost' };
+        saveDailyRecords(records);
+        messageText += "\n\nThat was today's official attempt - come back tomorrow, or keep practicing.";
+    }
+    messageText += `\nStreak: ${formatDailyStreak(getDailyStreak(records, dailyRun.key))}`;
+
+    showMessage('Wave broken!', messageText, dailyRun.official ? 'Practice' : 'Try again', initDaily);
+}
+
+// Link that opens the start screen on the same endless road
+function getEndlessLink(seed) {
+    return `${window.location.origin}${window.location.pathname}?endless=${seed}`;
+}
+
+// Endless runs always end with a fail; the score is how far the car got
+function loseEndless(reason) {
+    gameState = 'lost';
+    const distance = getEndlessDistance(sim.x);
+    const bestDistance = getEndlessBests()[getVariantRecordKey(endlessSeed)];
+    const isNewRecord = !runAssisted && saveEndlessBest(endlessSeed, distance);
+
+    let messageText = `${reason}\n\nDistance: ${distance} m`;
+    if (isNewRecord) {
+        messageText += ' - New record!';
+    } else if (bestDistance !== undefined) {
+        messageText += ` (Best: ${bestDistance} m)`;
+    }
+    if (runAssisted) {
+        messageText += `\n${ASSISTED_NOTE}`;
+    }
+    messageText += `\nRoad "${endlessSeed}" - share ${getEndlessLink(endlessSeed)} to race a friend on it`;
+
+    showMessage('Wave broken!', messageText, 'Drive again', restartLevel);
 }
 
 function loseGame(reason) {
@@ -862,91 +2214,459 @@ function loseGame(reason) {
         'Wave broken!',
         reason,
         'Try again',
-        () => initLevel(currentLevel)
+        restartLevel
     );
 }
 
-// Game time (for light timing)
-let gameTime = 0;
-let lastTimestamp = 0;
+// Frame timing
+let lastTimestamp = 0;
+
+// Messages shown for each simulation fail reason
+const FAIL_MESSAGES = {
+    [FAIL_RED_LIGHT]: "You ran a red light! Time your speed better.",
+    [FAIL_STOPPED]: "You stopped! Keep moving to catch the green wave.",
+    [FAIL_BLINKING]: "You passed on blinking yellow! On Hard it counts as red."
+};
+
+// On difficulties that allow waiting at lights, only stopping elsewhere fails
+function getFailMessage(reason) {
+    if (reason === FAIL_STOPPED && getDifficulty(sim.difficulty).stopAtLights) {
+        return "You stopped away from a stop line! Only wait at a light.";
+    }
+    return FAIL_MESSAGES[reason];
+}
+
+// Lights generated beyond the car on endless roads, so they're on screen before the car gets there
+const ENDLESS_LOOKAHEAD = 1500; // px
+
+// Advance a run by one tick, generating more endless road first if needed
+function stepRun(level, state, input) {
+    if (level.endless) {
+        extendEndlessLevel(level, state.x + ENDLESS_LOOKAHEAD);
+    }
+    return stepSimulation(level, state, input);
+}
+
+// Advance the simulation by one fixed tick and react to its events
+function update() {
+    if (gameState !== 'playing') return;
+
+    const level = getCurrentLevel();
+    markRunAssisted();
+    updateKeyPedals();
+    const input = getPedalInput();
+    const previousInput = runInputs[runInputs.length - 1];
+    runInputs.push(input);
+    const wasMoving = sim.speed > 0;
+    const events = stepRun(level, sim, input);
+    if (sim.tick % GHOST_SAMPLE_TICKS === 0) {
+        runTrace.push(sim.x);
+    }
+    playLightPhaseTicks(level);
+    trackHardBraking(input);
+    checkLightWarning(level);
+    if (quantizePedal(input.brake) > 0 && (!previousInput || quantizePedal(previousInput.brake) === 0)) {
+        reportAchievementEvent({ type: 'brake' });
+    }
+    if (wasMoving && sim.speed === 0) {
+        reportAchievementEvent({ type: 'stop' });
+    }
+
+    for (const event of events) {
+        if (event.type === 'light-passed') {
+            playPassChime();
+            greenStreak++;
+            setMusicStreak(greenStreak);
+            reportAchievementEvent({ type: 'light-passed', state: event.state });
+        } else if (event.type === 'failed') {
+            playFailSting();
+            if (settings.gamepad.rumble) {
+                rumbleGamepad('fail');
+            }
+            saveLastReplay();
+            reportAchievementEvent({ type: 'fail', reason: event.reason, distance: getEndlessDistance(sim.x) });
+            if (getRunMode() === 'level') {
+                recordLevelFail(getStatsKey(), event.reason, event.light);
+            }
+            if (endlessSeed !== null) {
+                loseEndless(getFailMessage(event.reason));
+            } else if (dailyRun) {
+                loseDaily(getFailMessage(event.reason));
+            } else {
+                loseGame(getFailMessage(event.reason));
+            }
+        } else if (event.type === 'finished') {
+            saveLastReplay();
+            winLevel();
+        }
+    }
+}
+
+// Holding the brake down hard at speed breaks the green streak, and the music thins out again
+const HARD_BRAKE_PEDAL = 0.5;
+const HARD_BRAKE_SPEED = 20; // km/h
+const HARD_BRAKE_TIME = 0.4; // s
+
+function trackHardBraking(input) {
+    const hard = quantizePedal(input.brake) >= HARD_BRAKE_PEDAL && sim.speed > HARD_BRAKE_SPEED;
+    hardBrakeTime = hard ? hardBrakeTime + SIM_TIMESTEP : 0;
+    if (hardBrakeTime >= HARD_BRAKE_TIME && greenStreak > 0) {
+        greenStreak = 0;
+        setMusicStreak(greenStreak);
+    }
+}
+
+// Rumble when the light the car is heading for starts blinking yellow
+function checkLightWarning(level) {
+    const next = level.lights[sim.lightsPassed];
+    if (!next || !settings.gamepad.rumble) return;
+    const state = getLightState(next, sim.time, sim.difficulty);
+    if (state === 'blinking-yellow' && getLightState(next, sim.time - SIM_TIMESTEP, sim.difficulty) !== state) {
+        rumbleGamepad('warning');
+    }
+}
+
+// Tick for every light on screen that changed phase on this simulation tick
+function playLightPhaseTicks(level) {
+    const cameraX = sim.x - CAR_X;
+    for (const light of level.lights) {
+        const screenX = light.x - cameraX;
+        if (screenX > canvas.width) break;
+        if (screenX < 0) continue;
+        const state = getLightState(light, sim.time, sim.difficulty);
+        if (state !== getLightState(light, sim.time - SIM_TIMESTEP, sim.difficulty)) {
+            playLightTick(state);
+        }
+    }
+}
+
+// Per-frame animation that doesn't affect the outcome of a run
+function updateVisuals(deltaTime) {
+    if (gameState !== 'playing' && gameState !== 'replay' && !isRunStarting()) return;
+
+    // Update wheel rotation based on speed
+    // Wheel circumference ~= 2 * PI * radius, assume radius ~11 pixels
+    const pixelsPerSecond = sim.speed * PIXELS_PER_KMH;
+    const wheelCircumference = 2 * Math.PI * 11;
+    const wheelRotationSpeed = pixelsPerSecond / wheelCircumference;
+    wheelRotation += wheelRotationSpeed * deltaTime * Math.PI * 2;
+
+    // Update birds
+    updateBirds(deltaTime);
+}
+
+function updateHud() {
+    lightsDisplay.textContent = sim.lightsPassed;
+    speedDisplay.textContent = Math.round(convertSpeed(sim.speed, settings.units));
+    timeDisplay.textContent = formatTime(sim.time);
+    if (getCurrentLevel().endless) {
+        distanceDisplay.textContent = getEndlessDistance(sim.x);
+    }
+    updateGhostHud();
+}
+
+// HUD items the player chose to show, and the speed unit
+const speedUnitDisplay = document.getElementById('speedUnitDisplay');
+const hudItems = {
+    speed: document.getElementById('speedHud'),
+    lights: document.getElementById('lightsHud'),
+    time: document.getElementById('timeHud')
+};
+
+function applyHudSettings() {
+    Object.keys(hudItems).forEach(id => {
+        hudItems[id].style.display = settings.hud[id] ? '' : 'none';
+    });
+    speedUnitDisplay.textContent = getSpeedUnitLabel(settings.units);
+}
+
+applyHudSettings();
+
+// Light count and distance, which depend on the kind of level
+function updateLevelHud(level) {
+    totalLightsDisplay.textContent = level.endless ? '\u221e' : level.lights.length;
+    distanceHud.style.display = level.endless ? '' : 'none';
+}
+
+// Ghost car of the personal best run
+const ghostToggle = document.getElementById('ghostToggle');
+const ghostHud = document.getElementById('ghostHud');
+const ghostDeltaDisplay = document.getElementById('ghostDeltaDisplay');
+let ghostEnabled = isGhostEnabled();
+
+// Ghost position at the given time, interpolated between samples
+function getGhostX(run, time) {
+    const index = time / run.sampleInterval;
+    const i = Math.floor(index);
+    if (i >= run.positions.length - 1) {
+        return run.positions[run.positions.length - 1];
+    }
+    const t = index - i;
+    return run.positions[i] + (run.positions[i + 1] - run.positions[i]) * t;
+}
+
+// Time at which the ghost reached the given position
+function getGhostTimeAt(run, x) {
+    const positions = run.positions;
+    if (x >= positions[positions.length - 1]) {
+        return run.time;
+    }
+    // Positions only ever increase, so binary search for the enclosing samples
+    let lo = 0;
+    let hi = positions.length - 1;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (positions[mid] <= x) {
+            lo = mid;
+        } else {
+            hi = mid;
+        }
+    }
+    const span = positions[hi] - positions[lo];
+    const t = span > 0 ? (x - positions[lo]) / span : 0;
+    return (lo + t) * run.sampleInterval;
+}
+
+function isGhostVisible() {
+    return ghostEnabled && ghostRun !== null && gameState !== 'replay';
+}
+
+function updateGhostHud() {
+    ghostToggle.textContent = ghostEnabled ? 'Ghost: on' : 'Ghost: off';
+    if (!isGhostVisible() || !settings.hud.ghost) {
+        ghostHud.style.display = 'none';
+        return;
+    }
+
+    // Negative delta = ahead of the ghost
+    const delta = sim.time - getGhostTimeAt(ghostRun, sim.x);
+    ghostHud.style.display = '';
+    ghostHud.className = `hud-item ${delta <= 0 ? 'ghost-ahead' : 'ghost-behind'}`;
+    ghostDeltaDisplay.textContent = (delta <= 0 ? '-' : '+') + formatTime(Math.abs(delta));
+}
+
+function toggleGhost() {
+    ghostEnabled = !ghostEnabled;
+    setGhostEnabled(ghostEnabled);
+    updateGhostHud();
+}
+
+ghostToggle.addEventListener('click', toggleGhost);
+
+// HUD shortcut for the mute setting
+const soundToggle = document.getElementById('soundToggle');
+
+function updateSoundToggle() {
+    soundToggle.textContent = settings.muted ? 'Sound: off' : 'Sound: on';
+}
+
+soundToggle.addEventListener('click', () => {
+    settings.muted = !settings.muted;
+    saveSettings(settings);
+    setAudioVolume(settings);
+    updateSoundToggle();
+});
+
+updateSoundToggle();
+
+// Replay recording and playback
+const saveReplayBtn = document.getElementById('saveReplay');
+const loadReplayBtn = document.getElementById('loadReplay');
+const replayFileInput = document.getElementById('replayFileInput');
+const replayControls = document.getElementById('replayControls');
+const replayPlayPause = document.getElementById('replayPlayPause');
+const replaySeek = document.getElementById('replaySeek');
+const replayTime = document.getElementById('replayTime');
+const replayExit = document.getElementById('replayExit');
+
+let lastReplay = null; // Replay of the most recently finished run
+let replayPlayer = null; // { replay, inputs, level, paused } while watching a replay
+
+function saveLastReplay() {
+    const level = getCurrentLevel();
+    let source = {};
+    if (endlessSeed !== null) {
+        source = { endless: endlessSeed };
+    } else if (customLevel) {
+        source = { customLevel: customLevel };
+    } else if (currentPack.id !== CLASSIC_PACK_ID) {
+        source = { pack: currentPack.id };
+    }
+    if (sim.vehicle !== DEFAULT_VEHICLE) {
+        source.vehicle = sim.vehicle;
+    }
+    if (sim.difficulty !== DEFAULT_DIFFICULTY) {
+        source.difficulty = sim.difficulty;
+    }
+    lastReplay = createReplay(currentLevel, level.startSpeed, runInputs, sim, source);
+    saveReplayBtn.style.display = '';
+}
+
+function downloadReplay(replay) {
+    const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `green-wave-level${replay.level}-${replay.outcome}-${formatTime(replay.time)}s.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+}
+
+// The level a replay was recorded on, with the recorded start speed
+function getReplayLevel(replay, pack) {
+    if (replay.endless) {
+        return createEndlessLevel(replay.endless);
+    }
+    const level = replay.customLevel || pack.levels[replay.level - 1];
+    return { ...level, startSpeed: replay.startSpeed };
+}
+
+function startReplay(replay, inputs) {
+    const fromPack = !replay.customLevel && !replay.endless;
+    const pack = getLevelPack(replay.pack || CLASSIC_PACK_ID);
+    if (fromPack && !pack) {
+        throw new Error(`This replay is for the level pack "${replay.pack}", which isn't loaded`);
+    }
+    if (fromPack && replay.level > pack.levels.length) {
+        throw new Error(`This replay is for level ${replay.level}, which doesn't exist`);
+    }
+
+    // A replay can be loaded from the pause menu or before a run has started:
+    // clear the menu, the preview hint and the countdown first
+    hideMessage();
+    closePauseMenu();
+    const level = getReplayLevel(replay, pack);
+    if (fromPack) {
+        currentPack = pack;
+    }
+    currentLevel = replay.level;
+    customLevel = fromPack ? null : level;
+    customLevelReturn = null;
+    endlessSeed = replay.endless || null;
+    dailyRun = null;
+    updateCustomLevelReturn();
+    if (replay.endless) {
+        levelDisplay.textContent = 'Endless';
+    } else {
+        levelDisplay.textContent = customLevel ? 'Custom' : replay.level;
+    }
+    updateLevelHud(level);
+    startGameLoop();
+    keys.gas = false;
+    keys.brake = false;
+
+    replayPlayer = {
+        replay: replay,
+        inputs: inputs,
+        level: level,
+        paused: false
+    };
+    gameState = 'replay';
+    replaySeek.max = inputs.length;
+    replayControls.classList.add('active');
+    seekReplay(0);
+}
+
+// Re-simulate from the start up to the given tick (runs are deterministic)
+function seekReplay(tick) {
+    sim = createSimulation(replayPlayer.level, replayPlayer.replay.vehicle || DEFAULT_VEHICLE,
+        replayPlayer.replay.difficulty || DEFAULT_DIFFICULTY);
+    simAccumulator = 0;
+    const target = Math.max(0, Math.min(tick, replayPlayer.inputs.length));
+    while (sim.tick < target && sim.status === 'running') {
+        stepRun(replayPlayer.level, sim, replayPlayer.inputs[sim.tick]);
+    }
+    updateReplayControls();
+}
+
+function updateReplay(deltaTime) {
+    if (replayPlayer.paused) return;
 
-// Update game state
-function update(deltaTime) {
-    if (gameState !== 'playing') return;
+    simAccumulator += deltaTime;
+    while (simAccumulator >= SIM_TIMESTEP) {
+        simAccumulator -= SIM_TIMESTEP;
+        if (sim.tick >= replayPlayer.inputs.length || sim.status !== 'running') {
+            // Hold on the last frame when the recording ends
+            replayPlayer.paused = true;
+            break;
+        }
+        stepRun(replayPlayer.level, sim, replayPlayer.inputs[sim.tick]);
+    }
 
-    gameTime += deltaTime;
+    updateVisuals(deltaTime);
+    updateReplayControls();
+}
+
+function updateReplayControls() {
+    const totalTime = replayPlayer.inputs.length * SIM_TIMESTEP;
+    replaySeek.value = sim.tick;
+    replayTime.textContent = `${formatTime(sim.time)} / ${formatTime(totalTime)} s`;
+    replayPlayPause.textContent = replayPlayer.paused ? 'Play' : 'Pause';
+}
 
-    // Update car speed based on input
-    if (keys.gas && !keys.brake) {
-        carSpeed += ACCELERATION * deltaTime;
-    } else if (keys.brake && !keys.gas) {
-        carSpeed -= BRAKE_POWER * deltaTime;
+function toggleReplayPause() {
+    if (sim.tick >= replayPlayer.inputs.length || sim.status !== 'running') {
+        // Play again from the start once the recording has ended
+        seekReplay(0);
+        replayPlayer.paused = false;
     } else {
-        // Coasting - apply friction
-        carSpeed -= FRICTION * deltaTime;
+        replayPlayer.paused = !replayPlayer.paused;
     }
+    updateReplayControls();
+}
 
-    // Clamp speed
-    carSpeed = Math.max(0, Math.min(MAX_SPEED, carSpeed));
+function closeReplay() {
+    replayPlayer = null;
+    replayControls.classList.remove('active');
+}
 
-    // Track speed changes for smoothness rating (only count intentional changes, not friction)
-    if (keys.gas || keys.brake) {
-        totalSpeedChange += Math.abs(carSpeed - lastSpeed);
+// Pedal state to draw: live keys, or the recorded input while watching a replay
+function getDisplayedInput() {
+    if (gameState === 'replay' && replayPlayer) {
+        return replayPlayer.inputs[Math.max(0, sim.tick - 1)] || keys;
     }
-    lastSpeed = carSpeed;
+    return getPedalInput();
+}
 
-    // Check for stopped (failure) only when fully stopped and not accelerating
-    if (carSpeed === 0 && !keys.gas) {
-        loseGame("You stopped! Keep moving to catch the green wave.");
-        return;
+saveReplayBtn.addEventListener('click', () => {
+    if (lastReplay) {
+        downloadReplay(lastReplay);
     }
+});
 
-    // Convert km/h to pixels per second
-    // Using 3 pixels per km/h gives a good game feel: at 60 km/h the car moves
-    // 180 pixels/sec, covering the ~1600-2300 pixel levels in 9-13 seconds
-    const pixelsPerSecond = carSpeed * 3;
-
-    // Move car in world
-    carWorldX += pixelsPerSecond * deltaTime;
-
-    // Update wheel rotation based on speed
-    // Wheel circumference ~= 2 * PI * radius, assume radius ~11 pixels
-    const wheelCircumference = 2 * Math.PI * 11;
-    const wheelRotationSpeed = pixelsPerSecond / wheelCircumference;
-    wheelRotation += wheelRotationSpeed * deltaTime * Math.PI * 2;
+loadReplayBtn.addEventListener('click', () => {
+    replayFileInput.value = '';
+    replayFileInput.click();
+});
 
-    // Check traffic lights - car is drawn centered at CAR_X, so front is at carWorldX + CAR_WIDTH/2
-    const carFront = carWorldX + CAR_WIDTH / 2;
+replayFileInput.addEventListener('change', () => {
+    const file = replayFileInput.files[0];
+    if (!file) return;
 
-    for (const light of trafficLights) {
-        if (!light.passed && carFront > light.x) {
-            // Car just passed this light
-            const state = getLightState(light, gameTime);
-            if (state === 'red') {
-                loseGame("You ran a red light! Time your speed better.");
-                return;
-            }
-            light.passed = true;
-            lightsPassed++;
-            lightsDisplay.textContent = lightsPassed;
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const { replay, inputs } = parseReplay(reader.result);
+            startReplay(replay, inputs);
+        } catch (error) {
+            // Nothing has changed yet, so the current screen stays as it is
+            showToast('Replay not loaded', error.message);
         }
-    }
-
-    // Check for level complete
-    const level = levels[currentLevel - 1];
-    if (carWorldX > level.finishX) {
-        winLevel();
-    }
+    };
+    reader.readAsText(file);
+});
 
-    // Update speed display
-    speedDisplay.textContent = Math.round(carSpeed);
+replayPlayPause.addEventListener('click', toggleReplayPause);
 
-    // Update time display
-    timeDisplay.textContent = formatTime(gameTime);
+replaySeek.addEventListener('input', () => {
+    replayPlayer.paused = true;
+    seekReplay(parseInt(replaySeek.value, 10));
+});
 
-    // Update birds
-    updateBirds(deltaTime);
-}
+replayExit.addEventListener('click', () => {
+    restartLevel();
+});
 
 // Draw game
 function draw() {
@@ -954,8 +2674,9 @@ function draw() {
     ctx.fillStyle = '#87CEEB';
     ctx.fillRect(0, 0, canvas.width, canvas.height);
 
-    // Camera offset (car stays at fixed screen position)
-    const cameraX = carWorldX - CAR_X;
+    // Camera offset (car stays at fixed screen position, except during the flyover)
+    const level = getCurrentLevel();
+    const cameraX = getCameraX(level);
 
     // Draw sky gradient (daylight blue sky)
     const skyGradient = ctx.createLinearGradient(0, 0, 0, ROAD_Y);
@@ -991,7 +2712,6 @@ function draw() {
     ctx.setLineDash([]);
 
     // Draw finish line (on left/upper lane only)
-    const level = levels[currentLevel - 1];
     const finishScreenX = level.finishX - cameraX;
     if (finishScreenX > -50 && finishScreenX < canvas.width + 50) {
         ctx.fillStyle = '#4ecca3';
@@ -1001,19 +2721,50 @@ function draw() {
         ctx.fillText('FINISH', finishScreenX - 15, ROAD_Y - 10);
     }
 
+    // Draw stop lines and the zone before them where waiting is allowed (upper lane only)
+    if (getDifficulty(sim.difficulty).stopAtLights) {
+        for (const light of level.lights) {
+            const screenX = light.x - cameraX;
+            if (screenX > -STOP_LINE_ZONE && screenX < canvas.width + 10) {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.12)';
+                ctx.fillRect(screenX - STOP_LINE_ZONE, ROAD_Y, STOP_LINE_ZONE, ROAD_HEIGHT / 2);
+                ctx.fillStyle = '#fff';
+                ctx.fillRect(screenX - 4, ROAD_Y, 4, ROAD_HEIGHT / 2);
+            }
+        }
+    }
+
     // Draw traffic lights
-    for (const light of trafficLights) {
+    for (const light of level.lights) {
         const screenX = light.x - cameraX;
         if (screenX > -100 && screenX < canvas.width + 100) {
             drawTrafficLight(screenX, light);
         }
     }
 
+    // Draw the ghost of the best run beside the player, in the lower lane
+    if (isGhostVisible()) {
+        const ghostScreenX = getGhostX(ghostRun, sim.time) - cameraX;
+        if (ghostScreenX > -100 && ghostScreenX < canvas.width + 100) {
+            ctx.save();
+            ctx.globalAlpha = 0.35;
+            drawCar(ghostScreenX, ROAD_Y + ROAD_HEIGHT * 3 / 4, { braking: false, headlightOn: false });
+            ctx.restore();
+        }
+    }
+
     // Draw car (on left/upper lane, under the traffic lights)
-    drawCar(CAR_X, ROAD_Y + ROAD_HEIGHT / 4);
+    drawCar(sim.x - cameraX, ROAD_Y + ROAD_HEIGHT / 4);
 
     // Draw pedal indicators
     drawPedals();
+
+    if (settings.hud.diagram && gameState !== 'preview' && gameState !== 'replay') {
+        drawTimeSpaceDiagram(level);
+    }
+    if (settings.assist && (gameState === 'playing' || gameState === 'countdown' || gameState === 'paused')) {
+        drawSpeedAdvisory(level);
+    }
 }
 
 // Simple hash function for deterministic window pattern based on position
@@ -1107,11 +2858,12 @@ function drawBuildings(offset) {
 }
 
 function drawTrafficLight(screenX, light) {
-    const state = getLightState(light, gameTime);
-    const timeUntilChange = getTimeUntilChange(light, gameTime);
+    const time = getLightClock();
+    const state = getLightState(light, time, sim.difficulty);
+    const timeUntilChange = getTimeUntilChange(light, time, sim.difficulty);
 
     // For blinking yellow, determine if we're in the "on" phase of the blink
-    const blinkOn = state === 'blinking-yellow' && Math.floor(gameTime * 4) % 2 === 0;
+    const blinkOn = state === 'blinking-yellow' && Math.floor(time * 4) % 2 === 0;
 
     // Scale to match car proportions (car is ~36px tall total)
     const poleBaseY = ROAD_Y;
@@ -1228,7 +2980,7 @@ function drawTrafficLight(screenX, light) {
     }
 
     // Timer indicator bar (above the traffic light housing)
-    const maxTime = getCurrentPhaseDuration(light, gameTime);
+    const maxTime = getCurrentPhaseDuration(light, time, sim.difficulty);
     const progress = timeUntilChange / maxTime;
     const barWidth = housingW + 4;
     const barX = lightX - housingW - 2;
@@ -1241,17 +2993,27 @@ function drawTrafficLight(screenX, light) {
     ctx.fillRect(barX, barY, barWidth * progress, 4);
 }
 
-function drawCar(x, y) {
-    // Stylized sporty coupe - clean, modern game car design
+// Draws the vehicle being driven, centred on x, in the skin chosen in the garage.
+// `options` overrides the lights for cars other than the player's (the ghost).
+function drawCar(x, y, options = {}) {
+    const lights = {
+        headlightOn: options.headlightOn !== undefined ? options.headlightOn : sim.speed > 0,
+        braking: options.braking !== undefined ? options.braking : getDisplayedInput().brake > 0
+    };
+    VEHICLE_DRAWINGS[sim.vehicle](x, y, lights, getSkin(currentSkin));
+}
+
+function drawSedan(x, y, lights, skin) {
+    // Stylized sporty sedan - clean, modern game car design
     // Proportions: wheelbase ~65% of length, body height ~1/4 of length
     const W = 90;  // Total car width (length when viewed from side)
     const H = 24;  // Body height
     const cabinH = 12; // Cabin/greenhouse height
 
-    // Colors - vibrant orange sports car
-    const bodyMain = '#ff6b35';      // Bright orange
-    const bodyDark = '#cc4411';      // Darker orange for lower body
-    const bodyLight = '#ff8855';     // Highlight
+    // Colors from the skin (orange by default)
+    const bodyMain = skin.palette.main;
+    const bodyDark = skin.palette.dark;      // Lower body
+    const bodyLight = skin.palette.light;    // Highlight
     const windowColor = '#1a2a3a';   // Dark tinted windows
     const windowShine = '#3a4a5a';   // Window reflection
     const black = '#111';
@@ -1318,6 +3080,8 @@ function drawCar(x, y) {
     ctx.lineTo(x + W/2 - 8, y - 4);
     ctx.stroke();
 
+    drawSideDecal(skin, x - W/2 + 6, x + W/2 - 10, y, y + 8);
+
     // === WINDOWS ===
     // Rear quarter window
     ctx.fillStyle = windowColor;
@@ -1420,7 +3184,7 @@ function drawCar(x, y) {
     ctx.fill();
 
     // === HEADLIGHT ===
-    const headlightOn = carSpeed > 0;
+    const headlightOn = lights.headlightOn;
     ctx.fillStyle = '#222';
     ctx.beginPath();
     ctx.ellipse(x + W/2 - 3, y - H/2 + 7, 4, 3, 0.2, 0, Math.PI * 2);
@@ -1437,7 +3201,7 @@ function drawCar(x, y) {
     ctx.shadowBlur = 0;
 
     // === TAIL LIGHT ===
-    const braking = keys.brake;
+    const braking = lights.braking;
     ctx.fillStyle = braking ? '#ff2222' : '#661111';
     if (braking) {
         ctx.shadowColor = '#ff2222';
@@ -1469,25 +3233,364 @@ function drawCar(x, y) {
     ctx.fill();
 }
 
+// A skin's decal on the side of a vehicle, inside the band from `left` to `right`
+// (the front is on the right) and from `top` to `bottom`
+function drawSideDecal(skin, left, right, top, bottom) {
+    const height = bottom - top;
+    ctx.fillStyle = skin.decalColor;
+    if (skin.decal === 'stripes') {
+        ctx.fillRect(left, top + height * 0.15, right - left, height * 0.25);
+        ctx.fillRect(left, top + height * 0.6, right - left, height * 0.25);
+    } else if (skin.decal === 'checker') {
+        const size = height / 2;
+        for (let column = 0; left + column * size < right - size / 2; column++) {
+            ctx.fillRect(left + column * size, top + (column % 2) * size, size, size);
+        }
+    } else if (skin.decal === 'flames') {
+        // Tongues of flame licking back from the front
+        const length = (right - left) * 0.6;
+        [['#ff8800', 1], ['#ffdd33', 0.6]].forEach(([color, scale]) => {
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.moveTo(right, top + height * 0.2);
+            for (let tongue = 0; tongue < 3; tongue++) {
+                const tip = right - length * scale * (1 - tongue * 0.2);
+                const middle = top + height * (0.2 + tongue * 0.3);
+                ctx.quadraticCurveTo(tip + 8, middle - height * 0.2, tip, middle);
+                ctx.quadraticCurveTo(tip + 10, middle + height * 0.15, right - 6, middle + height * 0.15);
+            }
+            ctx.lineTo(right, bottom - height * 0.1);
+            ctx.closePath();
+            ctx.fill();
+        });
+    }
+}
+
+// Tire, rim and turning spokes shared by the bus and the sports car
+function drawWheel(wheelX, wheelY, tireR, rimR, spokes) {
+    ctx.fillStyle = '#111';
+    ctx.beginPath();
+    ctx.arc(wheelX, wheelY, tireR, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#999';
+    ctx.beginPath();
+    ctx.arc(wheelX, wheelY, rimR, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.strokeStyle = '#555';
+    ctx.lineWidth = 2;
+    for (let i = 0; i < spokes; i++) {
+        const angle = (i / spokes) * Math.PI * 2 + wheelRotation;
+        ctx.beginPath();
+        ctx.moveTo(wheelX, wheelY);
+        ctx.lineTo(wheelX + Math.cos(angle) * (rimR - 1), wheelY + Math.sin(angle) * (rimR - 1));
+        ctx.stroke();
+    }
+    ctx.fillStyle = '#666';
+    ctx.beginPath();
+    ctx.arc(wheelX, wheelY, 2, 0, Math.PI * 2);
+    ctx.fill();
+}
+
+// Glowing lamp; `on` adds the glow
+function drawLamp(lampX, lampY, radiusX, radiusY, onColor, offColor, on) {
+    ctx.fillStyle = on ? onColor : offColor;
+    if (on) {
+        ctx.shadowColor = onColor;
+        ctx.shadowBlur = 12;
+    }
+    ctx.beginPath();
+    ctx.ellipse(lampX, lampY, radiusX, radiusY, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.shadowBlur = 0;
+}
+
+function drawBus(x, y, lights, skin) {
+    // Long, boxy city bus - body sits high, with the wheels near the ends
+    const W = 170; // Body length
+    const top = y - 38;
+    const bottom = y + 12;
+    const wheelY = y + 14;
+    const rearWheelX = x - W/2 + 30;
+    const frontWheelX = x + W/2 - 28;
+
+    // Wheel wells
+    ctx.fillStyle = '#111';
+    ctx.beginPath();
+    ctx.arc(rearWheelX, wheelY, 15, Math.PI, 0);
+    ctx.arc(frontWheelX, wheelY, 15, Math.PI, 0);
+    ctx.fill();
+
+    // Body in the skin's colours, with a pale roof band
+    ctx.fillStyle = skin.palette.main;
+    ctx.beginPath();
+    ctx.roundRect(x - W/2, top, W, bottom - top, [6, 10, 4, 4]);
+    ctx.fill();
+    ctx.fillStyle = '#e8e8d8';
+    ctx.fillRect(x - W/2 + 4, top + 2, W - 12, 6);
+    ctx.fillStyle = skin.palette.dark;
+    ctx.fillRect(x - W/2, bottom - 10, W, 10);
+    drawSideDecal(skin, x - W/2 + 6, x + W/2 - 36, y - 8, y);
+
+    // Passenger windows
+    ctx.fillStyle = '#1a2a3a';
+    for (let windowX = x - W/2 + 8; windowX < x + W/2 - 40; windowX += 22) {
+        ctx.fillRect(windowX, top + 11, 18, 16);
+    }
+    // Windscreen, sloping slightly at the front
+    ctx.beginPath();
+    ctx.moveTo(x + W/2 - 14, top + 10);
+    ctx.lineTo(x + W/2 - 3, top + 10);
+    ctx.lineTo(x + W/2 - 1, top + 30);
+    ctx.lineTo(x + W/2 - 14, top + 30);
+    ctx.closePath();
+    ctx.fill();
+
+    // Front door
+    ctx.fillStyle = skin.palette.dark;
+    ctx.fillRect(x + W/2 - 34, top + 10, 16, bottom - top - 12);
+    ctx.strokeStyle = '#1a2a3a';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x + W/2 - 26, top + 10);
+    ctx.lineTo(x + W/2 - 26, bottom - 2);
+    ctx.stroke();
+
+    // Destination sign
+    ctx.fillStyle = '#111';
+    ctx.fillRect(x + W/2 - 30, top + 2, 24, 6);
+    ctx.fillStyle = '#ffb000';
+    ctx.fillRect(x + W/2 - 28, top + 4, 20, 2);
+
+    drawWheel(rearWheelX, wheelY, 12, 7, 6);
+    drawWheel(frontWheelX, wheelY, 12, 7, 6);
+
+    drawLamp(x + W/2 - 3, bottom - 6, 3, 3, '#ffffcc', '#666', lights.headlightOn);
+    drawLamp(x - W/2 + 3, bottom - 8, 2, 5, '#ff2222', '#661111', lights.braking);
+}
+
+function drawSportsCar(x, y, lights, skin) {
+    // Low, wedge-shaped sports car with a rear wing
+    const W = 84; // Body length
+    const H = 16; // Body height
+    const wheelY = y + H/2 + 3;
+    const rearWheelX = x - W/2 + 20;
+    const frontWheelX = x + W/2 - 18;
+
+    // Wheel wells
+    ctx.fillStyle = '#111';
+    ctx.beginPath();
+    ctx.arc(rearWheelX, wheelY, 13, Math.PI, 0);
+    ctx.arc(frontWheelX, wheelY, 13, Math.PI, 0);
+    ctx.fill();
+
+    // Body: wedge from the tall tail down to the nose
+    ctx.fillStyle = skin.palette.main;
+    ctx.beginPath();
+    ctx.moveTo(x - W/2, y + H/2);
+    ctx.lineTo(x - W/2, y - H/2 + 1);
+    ctx.lineTo(x - W/5, y - H/2);
+    ctx.quadraticCurveTo(x - W/10, y - H/2 - 11, x + W/10, y - H/2 - 10);
+    ctx.lineTo(x + W/4, y - H/2 - 1);
+    ctx.lineTo(x + W/2, y + 1);
+    ctx.lineTo(x + W/2 - 2, y + H/2);
+    ctx.closePath();
+    ctx.fill();
+
+    // Sill, decal and canopy
+    ctx.fillStyle = skin.palette.dark;
+    ctx.fillRect(x - W/2, y + H/2 - 3, W - 2, 3);
+    ctx.fillStyle = skin.palette.light;
+    ctx.fillRect(x - W/2 + 2, y - 3, W - 14, 1);
+    drawSideDecal(skin, x - W/2 + 4, x + W/2 - 12, y - 1, y + 5);
+    ctx.fillStyle = '#1a2a3a';
+    ctx.beginPath();
+    ctx.moveTo(x - W/6, y - H/2);
+    ctx.quadraticCurveTo(x - W/12, y - H/2 - 8, x + W/12, y - H/2 - 8);
+    ctx.lineTo(x + W/5, y - H/2);
+    ctx.closePath();
+    ctx.fill();
+
+    // Rear wing
+    ctx.fillStyle = '#222';
+    ctx.fillRect(x - W/2 + 4, y - H/2 - 4, 3, 5);
+    ctx.fillRect(x - W/2 - 2, y - H/2 - 6, 16, 3);
+
+    drawWheel(rearWheelX, wheelY, 10, 7, 5);
+    drawWheel(frontWheelX, wheelY, 10, 7, 5);
+
+    drawLamp(x + W/2 - 6, y - 2, 4, 1.5, '#ffffcc', '#666', lights.headlightOn);
+    drawLamp(x - W/2 + 2, y - H/2 + 4, 2, 3, '#ff2222', '#661111', lights.braking);
+}
+
+// How each vehicle profile (simulation.js) is drawn
+const VEHICLE_DRAWINGS = {
+    sedan: drawSedan,
+    bus: drawBus,
+    sports: drawSportsCar
+};
+
 function drawPedals() {
     const pedalY = canvas.height - 40;
     const pedalWidth = 30;
     const pedalHeight = 25;
+    const input = getDisplayedInput();
 
-    // Gas pedal indicator
-    ctx.fillStyle = keys.gas ? '#4ecca3' : '#333';
+    // Each indicator fills from the bottom as far as its pedal is pressed
+    const gasTravel = quantizePedal(input.gas);
+    ctx.fillStyle = '#333';
     ctx.fillRect(canvas.width - 80, pedalY, pedalWidth, pedalHeight);
+    ctx.fillStyle = '#4ecca3';
+    ctx.fillRect(canvas.width - 80, pedalY + pedalHeight * (1 - gasTravel), pedalWidth, pedalHeight * gasTravel);
     ctx.fillStyle = '#fff';
     ctx.font = '10px sans-serif';
     ctx.fillText('GAS', canvas.width - 75, pedalY + 16);
 
     // Brake pedal indicator
-    ctx.fillStyle = keys.brake ? '#e74c3c' : '#333';
+    const brakeTravel = quantizePedal(input.brake);
+    ctx.fillStyle = '#333';
     ctx.fillRect(canvas.width - 120, pedalY, pedalWidth, pedalHeight);
+    ctx.fillStyle = '#e74c3c';
+    ctx.fillRect(canvas.width - 120, pedalY + pedalHeight * (1 - brakeTravel), pedalWidth, pedalHeight * brakeTravel);
     ctx.fillStyle = '#fff';
     ctx.fillText('BRK', canvas.width - 117, pedalY + 16);
 }
 
+// Time-space diagram: time runs across, distance up. Each light is a strip of its
+// phases at its position, so a green wave shows as a diagonal run of green; the
+// car's path so far is solid and its path at the current speed dashed.
+const DIAGRAM = { x: 680, y: 10, width: 300, height: 150 };
+const DIAGRAM_PAST = 6; // s of history shown
+const DIAGRAM_FUTURE = 14; // s ahead shown
+const DIAGRAM_BEHIND = 150; // px of road shown behind the car
+const DIAGRAM_AHEAD = 1350; // px of road shown ahead of the car
+const DIAGRAM_STEP = 0.1; // s between phase samples
+const DIAGRAM_COLORS = {
+    red: '#e74c3c',
+    yellow: '#f1c40f',
+    green: '#4ecca3',
+    'blinking-yellow': '#f39c12'
+};
+
+function drawTimeSpaceDiagram(level) {
+    // Lights are passed at the car's front, so that's the point plotted
+    const frontOffset = getCarFront(sim) - sim.x;
+    const front = sim.x + frontOffset;
+    const startTime = sim.time - DIAGRAM_PAST;
+    const endTime = sim.time + DIAGRAM_FUTURE;
+    const bottom = front - DIAGRAM_BEHIND;
+    const top = front + DIAGRAM_AHEAD;
+    const toX = time => DIAGRAM.x + (time - startTime) / (endTime - startTime) * DIAGRAM.width;
+    const toY = x => DIAGRAM.y + DIAGRAM.height - (x - bottom) / (top - bottom) * DIAGRAM.height;
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(DIAGRAM.x, DIAGRAM.y, DIAGRAM.width, DIAGRAM.height);
+    ctx.beginPath();
+    ctx.rect(DIAGRAM.x, DIAGRAM.y, DIAGRAM.width, DIAGRAM.height);
+    ctx.clip();
+
+    // Each light's phases, merged into runs of the same colour (nothing before the run started)
+    for (const light of level.lights) {
+        if (light.x < bottom) continue;
+        if (light.x > top) break;
+        const y = toY(light.x);
+        let runStart = Math.max(0, startTime);
+        let state = getLightState(light, runStart, sim.difficulty);
+        for (let time = runStart + DIAGRAM_STEP; ; time += DIAGRAM_STEP) {
+            const done = time >= endTime;
+            const next = done ? null : getLightState(light, time, sim.difficulty);
+            if (next !== state) {
+                ctx.fillStyle = DIAGRAM_COLORS[state];
+                ctx.fillRect(toX(runStart), y - 2, toX(Math.min(time, endTime)) - toX(runStart), 4);
+                runStart = time;
+                state = next;
+            }
+            if (done) break;
+        }
+    }
+
+    // Finish line
+    if (level.finishX <= top) {
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(DIAGRAM.x, toY(level.finishX));
+        ctx.lineTo(DIAGRAM.x + DIAGRAM.width, toY(level.finishX));
+        ctx.stroke();
+    }
+
+    // Now
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(toX(sim.time), DIAGRAM.y);
+    ctx.lineTo(toX(sim.time), DIAGRAM.y + DIAGRAM.height);
+    ctx.stroke();
+
+    // Path so far, from the positions sampled for the ghost
+    const sampleInterval = GHOST_SAMPLE_TICKS * SIM_TIMESTEP;
+    const firstSample = Math.max(0, Math.floor(startTime / sampleInterval));
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(toX(firstSample * sampleInterval), toY((runTrace[firstSample] || 0) + frontOffset));
+    for (let i = firstSample + 1; i < runTrace.length; i++) {
+        ctx.lineTo(toX(i * sampleInterval), toY(runTrace[i] + frontOffset));
+    }
+    ctx.lineTo(toX(sim.time), toY(front));
+    ctx.stroke();
+
+    // Path if the car holds its current speed
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(toX(sim.time), toY(front));
+    ctx.lineTo(toX(endTime), toY(front + sim.speed * PIXELS_PER_KMH * DIAGRAM_FUTURE));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.restore();
+
+    ctx.fillStyle = '#fff';
+    ctx.font = '10px sans-serif';
+    ctx.fillText('distance \u2191  time \u2192', DIAGRAM.x + 5, DIAGRAM.y + DIAGRAM.height - 5);
+}
+
+// Speed advisory gauge (advisory.js): the vehicle's speed range with the speeds
+// that get through the next lights in green and the car's speed marked
+const ADVISORY_GAUGE = { x: 20, y: 370, width: 260, height: 10 };
+
+function drawSpeedAdvisory(level) {
+    const gauge = ADVISORY_GAUGE;
+    const ranges = getSpeedAdvisory(level, sim);
+    const maxSpeed = getVehicle(sim.vehicle).maxSpeed;
+    const toX = speed => gauge.x + speed / maxSpeed * gauge.width;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.fillRect(gauge.x, gauge.y, gauge.width, gauge.height);
+    ctx.fillStyle = '#4ecca3';
+    (ranges || []).forEach(range => {
+        ctx.fillRect(toX(range.min), gauge.y, Math.max(2, toX(range.max) - toX(range.min)), gauge.height);
+    });
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(toX(sim.speed) - 1, gauge.y - 4, 3, gauge.height + 8);
+
+    // Spell out the range nearest the car's speed
+    const format = speed => Math.round(convertSpeed(speed, settings.units));
+    let label;
+    if (ranges === null) {
+        label = 'Advisory: no lights ahead';
+    } else if (ranges.length === 0) {
+        label = 'Advisory: no steady speed makes it';
+    } else {
+        const distance = range => Math.max(range.min - sim.speed, sim.speed - range.max, 0);
+        const nearest = ranges.reduce((best, range) => distance(range) < distance(best) ? range : best);
+        label = `Advisory: ${format(nearest.min)}-${format(nearest.max)} ${getSpeedUnitLabel(settings.units)}`;
+    }
+    ctx.font = '12px sans-serif';
+    ctx.fillText(label, gauge.x, gauge.y - 8);
+}
+
 // Ending animation - car driving into the sunset
 function drawEndingAnimation(time) {
     const progress = Math.min(time / ENDING_DURATION, 1);
@@ -1659,10 +3762,11 @@ function drawEndingAnimation(time) {
     const cabinW = W * 0.62;
     const cabinH = 38;
 
-    // Colors - vibrant orange sports car (matching side view)
-    const bodyMain = '#ff6b35';
-    const bodyDark = '#cc4411';
-    const bodyShine = '#ffaa77';
+    // Colors from the skin, matching the side view
+    const skin = getSkin(currentSkin);
+    const bodyMain = skin.palette.main;
+    const bodyDark = skin.palette.dark;
+    const bodyShine = skin.palette.shine;
     const black = '#111';
     const darkGray = '#2a2a2a';
 
@@ -1729,6 +3833,9 @@ function drawEndingAnimation(time) {
     ctx.lineTo(carX + W/2 - 12, carY + 3);
     ctx.stroke();
 
+    // === DECAL ===
+    drawRearDecal(skin, carX, carY, W, H, cabinW, cabinH);
+
     // === PEOPLE SILHOUETTES (clipped to window area) ===
     // Save context and create clipping path from window shape
     ctx.save();
@@ -1941,9 +4048,10 @@ function drawEndingAnimation(time) {
     if (time > 10) {
         showMessage(
             'The green wave',
-            'For the drives we remember.',
+            'For the drives we remember.' + endingNote,
             'Play again',
             () => {
+                endingNote = '';
                 gameState = 'playing';
                 initLevel(1);
             }
@@ -1953,11 +4061,44 @@ function drawEndingAnimation(time) {
     ctx.textAlign = 'left'; // Reset
 }
 
+// The skin's decal on the ending car, seen from behind
+function drawRearDecal(skin, carX, carY, W, H, cabinW, cabinH) {
+    ctx.fillStyle = skin.decalColor;
+    if (skin.decal === 'stripes') {
+        // Racing stripes over the roof and down the trunk
+        ctx.fillRect(carX - 14, carY - cabinH, 9, cabinH + H - 8);
+        ctx.fillRect(carX + 5, carY - cabinH, 9, cabinH + H - 8);
+    } else if (skin.decal === 'checker') {
+        const size = 6;
+        for (let column = 0; column * size < W - 24; column++) {
+            ctx.fillRect(carX - W/2 + 12 + column * size, carY + H/2 - 2 + (column % 2) * size, size, size);
+        }
+    } else if (skin.decal === 'flames') {
+        // Flames rising up both rear fenders
+        [-1, 1].forEach(side => {
+            [['#ff8800', 1], ['#ffdd33', 0.55]].forEach(([color, scale]) => {
+                const edge = carX + side * (W/2 - 3);
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                ctx.moveTo(edge, carY + H - 6);
+                ctx.quadraticCurveTo(edge - side * 4, carY + H - 30 * scale, edge - side * 10 * scale, carY + H - 34 * scale);
+                ctx.quadraticCurveTo(edge - side * 12 * scale, carY + H - 18 * scale, edge - side * 22 * scale, carY + H - 26 * scale);
+                ctx.quadraticCurveTo(edge - side * 24 * scale, carY + H - 10, edge - side * 30 * scale, carY + H - 6);
+                ctx.closePath();
+                ctx.fill();
+            });
+        });
+    }
+}
+
 // Game loop
 function gameLoop(timestamp) {
     if (!lastTimestamp) lastTimestamp = timestamp;
     const rawDeltaTime = (timestamp - lastTimestamp) / 1000;
     lastTimestamp = timestamp;
+    updateGamepad();
+    updateEngineSound(gameState === 'playing' || gameState === 'countdown' ? sim.speed : null, getPedalInput(), getVehicle(sim.vehicle));
+    updateMusic(gameState === 'playing');
 
     // If delta is too large (e.g., tab was backgrounded), skip this frame
     // rather than running in slow motion or jumping ahead
@@ -1971,6 +4112,39 @@ function gameLoop(timestamp) {
         return;
     }
 
+    // Replays step the recorded inputs instead of the live pedals
+    if (gameState === 'replay') {
+        updateReplay(rawDeltaTime);
+        updateHud();
+        draw();
+        requestAnimationFrame(gameLoop);
+        return;
+    }
+
+    // A paused run doesn't move; only the resume countdown runs
+    if (gameState === 'paused') {
+        if (resumeCountdown !== null) {
+            updateResumeCountdown(rawDeltaTime);
+        }
+        draw();
+        requestAnimationFrame(gameLoop);
+        return;
+    }
+
+    // Before the run the simulation holds still while the flyover and countdown play
+    if (isRunStarting()) {
+        if (gameState === 'preview') {
+            updatePreview(rawDeltaTime);
+        } else {
+            updateStartCountdown(rawDeltaTime);
+        }
+        updateVisuals(rawDeltaTime);
+        updateHud();
+        draw();
+        requestAnimationFrame(gameLoop);
+        return;
+    }
+
     // Handle ending animation state
     if (gameState === 'ending') {
         endingTime += rawDeltaTime;
@@ -1979,7 +4153,15 @@ function gameLoop(timestamp) {
         return;
     }
 
-    update(rawDeltaTime);
+    // Run the simulation in fixed ticks so every run is reproducible
+    simAccumulator += rawDeltaTime;
+    while (simAccumulator >= SIM_TIMESTEP) {
+        simAccumulator -= SIM_TIMESTEP;
+        update();
+    }
+
+    updateVisuals(rawDeltaTime);
+    updateHud();
     draw();
 
     requestAnimationFrame(gameLoop);
@@ -1988,6 +4170,13 @@ function gameLoop(timestamp) {
 // Start the game
 let gameStarted = false;
 
+// Start the animation loop once; runs can begin from several screens
+function startGameLoop() {
+    if (gameStarted) return;
+    gameStarted = true;
+    requestAnimationFrame(gameLoop);
+}
+
 const startScreen = document.getElementById('startScreen');
 const startButton = document.getElementById('startButton');
 
@@ -1995,16 +4184,221 @@ const startButton = document.getElementById('startButton');
 const urlParams = new URLSearchParams(window.location.search);
 const skipToEnding = urlParams.has('ending');
 
+const startNotice = document.getElementById('startNotice');
+
+function showStartNotice(text, isError) {
+    startNotice.textContent = text;
+    startNotice.classList.toggle('error', isError);
+    startNotice.classList.remove('hidden');
+}
+
+// A shared level link (?level=CODE) plays that level instead of level 1
+let sharedLevel = null;
+
+if (urlParams.has('level')) {
+    try {
+        sharedLevel = decodeLevelCode(urlParams.get('level'));
+        showStartNotice(`Shared level: ${sharedLevel.name} (${sharedLevel.lights.length} lights)`, false);
+        startButton.textContent = 'Play shared level';
+    } catch (e) {
+        showStartNotice(`Couldn't open the shared level: ${e.message}`, true);
+    }
+}
+
+// An endless road link (?endless=SEED) drives that road instead of level 1
+const endlessSeedInput = document.getElementById('endlessSeedInput');
+let sharedEndlessSeed = null;
+
+if (urlParams.has('endless')) {
+    const seed = urlParams.get('endless');
+    if (isValidEndlessSeed(seed)) {
+        sharedEndlessSeed = seed;
+        endlessSeedInput.value = seed;
+        showStartNotice(`Endless road "${seed}"`, false);
+        startButton.textContent = 'Drive shared road';
+    } else {
+        showStartNotice("Couldn't open the shared road: road names use up to 32 letters, digits, - or _", true);
+    }
+}
+
+document.getElementById('endlessButton').addEventListener('click', () => {
+    const seed = endlessSeedInput.value.trim() || createEndlessSeed();
+    if (!isValidEndlessSeed(seed)) {
+        showStartNotice('Road names use up to 32 letters, digits, - or _', true);
+        return;
+    }
+    startScreen.classList.add('hidden');
+    initEndless(seed);
+});
+
+// Daily challenge button, with today's result and the streak underneath
+const dailyStatus = document.getElementById('dailyStatus');
+
+function refreshDailyStatus() {
+    const records = getDailyRecords();
+    const key = getDailyKey();
+    dailyStatus.textContent = `Today: ${formatDailyAttempt(records.official[key])} \u00b7 Streak: ${formatDailyStreak(getDailyStreak(records, key))}`;
+}
+
+document.getElementById('dailyButton').addEventListener('click', () => {
+    startScreen.classList.add('hidden');
+    initDaily();
+});
+
+refreshDailyStatus();
+
+// Level pack picker: the game starts at level 1 of the selected pack
+const packSelect = document.getElementById('packSelect');
+const packDescription = document.getElementById('packDescription');
+const loadPackBtn = document.getElementById('loadPackButton');
+const packFileInput = document.getElementById('packFileInput');
+
+function formatLevelCount(pack) {
+    return pack.levels.length === 1 ? '1 level' : `${pack.levels.length} levels`;
+}
+
+function refreshPackSelect() {
+    packSelect.innerHTML = '';
+    levelPacks.forEach(pack => {
+        const option = document.createElement('option');
+        option.value = pack.id;
+        option.textContent = `${pack.name} (${formatLevelCount(pack)})`;
+        packSelect.appendChild(option);
+    });
+    packSelect.value = currentPack.id;
+    packDescription.textContent = currentPack.description || '';
+}
+
+// Packs shipped with the game are fetched, which browsers block on file:// pages;
+// the classic pack is built in, so the game still works without them
+async function loadBundledPacks() {
+    for (const file of BUNDLED_PACK_FILES) {
+        try {
+            const response = await fetch(file);
+            const pack = parseLevelPack(await response.text());
+            // A copy the player loaded from a file takes precedence
+            if (!getLevelPack(pack.id)) {
+                addLevelPack(pack);
+            }
+        } catch (error) {
+            console.warn(`Level pack ${file} not loaded:`, error.message);
+        }
+    }
+
+    // The saved pack may only just have arrived
+    if (!startScreen.classList.contains('hidden') && currentPack === classicPack) {
+        currentPack = getLevelPack(getSelectedPackId()) || classicPack;
+    }
+    refreshPackSelect();
+}
+
+packSelect.addEventListener('change', () => {
+    selectLevelPack(packSelect.value);
+    refreshPackSelect();
+});
+
+loadPackBtn.addEventListener('click', () => {
+    packFileInput.value = '';
+    packFileInput.click();
+});
+
+packFileInput.addEventListener('change', () => {
+    const file = packFileInput.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const pack = parseLevelPack(reader.result);
+            if (pack.id === CLASSIC_PACK_ID) {
+                throw new Error(`The "${CLASSIC_PACK_ID}" pack is built in and can't be replaced`);
+            }
+            addLevelPack(pack);
+            saveLoadedPack(pack);
+            selectLevelPack(pack.id);
+            refreshPackSelect();
+            showStartNotice(`Loaded "${pack.name}" (${formatLevelCount(pack)})`, false);
+        } catch (error) {
+            showStartNotice(`Couldn't load the level pack:\n${error.message}`, true);
+        }
+    };
+    reader.readAsText(file);
+});
+
+// Packs loaded in earlier visits are checked again, in case the rules changed
+getLoadedPacks().forEach(pack => {
+    if (getLevelPackErrors(pack).length === 0 && pack.id !== CLASSIC_PACK_ID) {
+        addLevelPack(pack);
+    }
+});
+currentPack = getLevelPack(getSelectedPackId()) || classicPack;
+refreshPackSelect();
+loadBundledPacks();
+
+// Vehicle picker: every mode is driven with the selected vehicle, and it has its own records
+const vehicleSelect = document.getElementById('vehicleSelect');
+const vehicleDescription = document.getElementById('vehicleDescription');
+
+function refreshVehicleSelect() {
+    vehicleSelect.innerHTML = '';
+    Object.keys(VEHICLES).forEach(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = VEHICLES[id].name;
+        vehicleSelect.appendChild(option);
+    });
+    vehicleSelect.value = currentVehicle;
+
+    const vehicle = getVehicle(currentVehicle);
+    const unit = getSpeedUnitLabel(settings.units);
+    const rate = kmh => `${Math.round(convertSpeed(kmh, settings.units))} ${unit}/s`;
+    vehicleDescription.textContent = `Top speed ${Math.round(convertSpeed(vehicle.maxSpeed, settings.units))} ${unit} \u00b7 ` +
+        `accelerates ${rate(vehicle.acceleration)} \u00b7 brakes ${rate(vehicle.brakePower)}`;
+}
+
+vehicleSelect.addEventListener('change', () => {
+    selectVehicle(vehicleSelect.value);
+    refreshVehicleSelect();
+});
+
+refreshVehicleSelect();
+
+// Difficulty picker: every mode is driven on the selected difficulty, and it has its own records
+const difficultySelect = document.getElementById('difficultySelect');
+const difficultyDescription = document.getElementById('difficultyDescription');
+
+function refreshDifficultySelect() {
+    difficultySelect.innerHTML = '';
+    Object.keys(DIFFICULTIES).forEach(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = DIFFICULTIES[id].name;
+        difficultySelect.appendChild(option);
+    });
+    difficultySelect.value = currentDifficulty;
+    difficultyDescription.textContent = getDifficulty(currentDifficulty).description;
+}
+
+difficultySelect.addEventListener('change', () => {
+    selectDifficulty(difficultySelect.value);
+    refreshDifficultySelect();
+});
+
+refreshDifficultySelect();
+
 startButton.addEventListener('click', () => {
-    gameStarted = true;
     startScreen.classList.add('hidden');
     
     if (skipToEnding) {
         gameState = 'ending';
         endingTime = 0;
+    } else if (sharedLevel) {
+        initCustomLevel(sharedLevel, { label: 'Main game', action: () => initLevel(1) });
+    } else if (sharedEndlessSeed) {
+        initEndless(sharedEndlessSeed);
     } else {
-        initLevel(1);
+        openLevelSelect();
     }
     
-    requestAnimationFrame(gameLoop);
+    startGameLoop();
 });
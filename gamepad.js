@@ -0,0 +1,88 @@
+// Green Wave Gamepad
+// Gamepad API support for controllers with the browser's "standard" button
+// layout. Gamepads can't send events, so the game polls them every frame:
+// triggers and the stick give pedal positions from 0 to 1, other buttons act
+// once when pressed.
+// Rumble uses the vibration actuator where the browser and controller have one.
+
+// Standard layout button indices
+const PAD_A = 0;
+const PAD_B = 1;
+const PAD_LEFT_TRIGGER = 6;
+const PAD_RIGHT_TRIGGER = 7;
+const PAD_START = 9;
+const PAD_DPAD_UP = 12;
+const PAD_DPAD_DOWN = 13;
+const PAD_DPAD_LEFT = 14;
+const PAD_DPAD_RIGHT = 15;
+
+const PAD_TRIGGER_THRESHOLD = 0.1; // Trigger travel ignored as resting noise
+const PAD_STICK_DEADZONE = 0.2;
+
+// Buttons the restart action can be mapped to (Start always pauses)
+const PAD_RESTART_BUTTONS = [
+    { index: 0, label: 'A' },
+    { index: 1, label: 'B' },
+    { index: 2, label: 'X' },
+    { index: 3, label: 'Y' },
+    { index: 4, label: 'Left bumper' },
+    { index: 5, label: 'Right bumper' },
+    { index: 8, label: 'Back / Select' }
+];
+
+const PAD_PEDAL_MAPPINGS = {
+    triggers: 'Triggers (right: gas, left: brake)',
+    stick: 'Left stick (up: gas, down: brake)'
+};
+
+const RUMBLE_EFFECTS = {
+    warning: { duration: 120, strongMagnitude: 0, weakMagnitude: 0.5 },
+    fail: { duration: 400, strongMagnitude: 1, weakMagnitude: 0.6 }
+};
+
+let previousPadButtons = []; // Pressed state of each button on the last poll
+
+// The first connected gamepad, or null
+function readGamepad() {
+    if (!navigator.getGamepads) return null;
+    const pads = Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected);
+    return pads.length > 0 ? pads[0] : null;
+}
+
+// Travel past the dead zone, rescaled to a pedal position from 0 to 1
+function getPadTravel(value, deadZone) {
+    return value > deadZone ? Math.min(1, (value - deadZone) / (1 - deadZone)) : 0;
+}
+
+function getPadPedals(pad, mapping) {
+    if (mapping.pedals === 'stick') {
+        const y = pad.axes[1] || 0;
+        return { gas: getPadTravel(-y, PAD_STICK_DEADZONE), brake: getPadTravel(y, PAD_STICK_DEADZONE) };
+    }
+    const trigger = index => pad.buttons[index] !== undefined ? getPadTravel(pad.buttons[index].value, PAD_TRIGGER_THRESHOLD) : 0;
+    return { gas: trigger(PAD_RIGHT_TRIGGER), brake: trigger(PAD_LEFT_TRIGGER) };
+}
+
+// Indices of the buttons that went down since the last poll
+function pollPadButtons(pad) {
+    const pressed = pad ? pad.buttons.map(button => button.pressed) : [];
+    const newlyPressed = [];
+    pressed.forEach((down, index) => {
+        if (down && !previousPadButtons[index]) newlyPressed.push(index);
+    });
+    previousPadButtons = pressed;
+    return newlyPressed;
+}
+
+function rumbleGamepad(kind) {
+    const pad = readGamepad();
+    if (!pad || !pad.vibrationActuator) return;
+    pad.vibrationActuator.playEffect('dual-rumble', RUMBLE_EFFECTS[kind]).catch(() => {
+        // Rumble is best-effort; some controllers refuse it
+    });
+}
+
+// Allow the pedal mapping to be checked headless under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PAD_RESTART_BUTTONS, PAD_PEDAL_MAPPINGS, getPadPedals, pollPadButtons };
+}
@@ -0,0 +1,127 @@
+// Green Wave Level Codes
+// Compact, versioned and checksummed text encoding of a full level definition,
+// short enough to share in a URL (?level=CODE) or paste into the editor.
+//
+// Format (version 1), sections joined by '~':
+//   GW1 ~ startSpeed ~ finishX ~ lights ~ name ~ checksum
+// lights: x-green-red-offset for each light, joined by '_'
+// name:   base64url of the UTF-8 level name
+// checksum: FNV-1a hash of everything before it, in base36
+// Every character is URL-safe, so codes don't need escaping.
+
+const LEVEL_CODE_PREFIX = 'GW';
+const LEVEL_CODE_VERSION = 1;
+
+function hashLevelCode(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(36);
+}
+
+function encodeCodeName(name) {
+    const bytes = new TextEncoder().encode(name);
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '.').replace(/=+$/, '');
+}
+
+function decodeCodeName(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/\./g, '/'));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+}
+
+// Two decimals are plenty for positions and durations
+function formatCodeNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+function encodeLevelCode(level) {
+    const lights = level.lights.map(light => [
+        light.x, light.greenDuration, light.redDuration, light.offset
+    ].map(formatCodeNumber).join('-')).join('_');
+
+    const body = [
+        LEVEL_CODE_PREFIX + LEVEL_CODE_VERSION,
+        formatCodeNumber(level.startSpeed),
+        formatCodeNumber(level.finishX),
+        lights,
+        encodeCodeName(level.name || '')
+    ].join('~');
+
+    return body + '~' + hashLevelCode(body);
+}
+
+function parseCodeNumber(text) {
+    if (!/^\d+(\.\d+)?$/.test(text)) {
+        throw new Error('This level code is damaged or incomplete');
+    }
+    return parseFloat(text);
+}
+
+// Decode a level code (or a full link containing one); throws with a readable message
+function decodeLevelCode(input) {
+    let code = String(input).trim();
+    const linkMatch = code.match(/[?&]level=([^&#]+)/);
+    if (linkMatch) {
+        code = decodeURIComponent(linkMatch[1]);
+    }
+
+    const sections = code.split('~');
+    const versionMatch = sections[0].match(/^GW(\d+)$/);
+    if (!versionMatch) {
+        throw new Error("This isn't a Green Wave level code");
+    }
+    if (parseInt(versionMatch[1], 10) > LEVEL_CODE_VERSION) {
+        throw new Error('This level code was made with a newer version of the game');
+    }
+    if (sections.length !== 6) {
+        throw new Error('This level code is damaged or incomplete');
+    }
+
+    const checksum = sections.pop();
+    if (hashLevelCode(sections.join('~')) !== checksum) {
+        throw new Error('This level code is damaged or incomplete');
+    }
+
+    const [, startSpeed, finishX, lights, name] = sections;
+    let decodedName;
+    try {
+        decodedName = decodeCodeName(name);
+    } catch (e) {
+        throw new Error('This level code is damaged or incomplete');
+    }
+
+    const level = {
+        name: decodedName || 'Shared level',
+        startSpeed: parseCodeNumber(startSpeed),
+        lights: lights === '' ? [] : lights.split('_').map(light => {
+            const fields = light.split('-');
+            if (fields.length !== 4) {
+                throw new Error('This level code is damaged or incomplete');
+            }
+            const [x, greenDuration, redDuration, offset] = fields.map(parseCodeNumber);
+            return { x, greenDuration, redDuration, offset };
+        }),
+        finishX: parseCodeNumber(finishX)
+    };
+
+    // Same rules as level packs, so a shared level is always playable
+    const errors = getLevelErrors(level, 'The shared level');
+    if (errors.length > 0) {
+        throw new Error(errors[0]);
+    }
+    return level;
+}
+
+// Allow level codes to be produced and checked headless under Node
+if (typeof module !== 'undefined' && module.exports) {
+    // The level checks are a browser global from levelpack.js; pull them in for Node
+    if (typeof getLevelErrors === 'undefined') {
+        global.getLevelErrors = require('./levelpack.js').getLevelErrors;
+    }
+    module.exports = { encodeLevelCode, decodeLevelCode };
+}
@@ -0,0 +1,162 @@
+// Green Wave Level Packs
+// Validation for level packs: JSON files holding a named list of levels (see the
+// "Level Packs" section of the README for the schema). Packs are checked before
+// the game plays them, so a broken pack is rejected with readable messages
+// instead of producing an unwinnable or glitching level.
+//
+// Usage from Node: node levelpack.js levels/*.json
+
+// Under Node, pull in the simulation constants; in the browser they're already loaded
+if (typeof module !== 'undefined' && module.exports && typeof MAX_VEHICLE_LENGTH === 'undefined') {
+    Object.assign(global, require('./simulation.js'));
+}
+
+const LEVEL_PACK_FORMAT = 'green-wave-level-pack';
+const LEVEL_PACK_VERSION = 1;
+const MIN_LIGHT_SPACING = 60; // px; closer lights overlap on screen
+const MAX_PACK_LEVELS = 50;
+const UNLOCK_RULES = ['previous', 'all', 'stars'];
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Check one level definition; returns a list of problems (empty when valid)
+// `label` prefixes every message, e.g. 'Level 3 "The long road"'
+function getLevelErrors(level, label = 'Level') {
+    if (!level || typeof level !== 'object') {
+        return [`${label} is not an object`];
+    }
+
+    const errors = [];
+    if (typeof level.name !== 'string' || level.name.trim() === '') {
+        errors.push(`${label} needs a name`);
+    }
+    if (!isNumber(level.startSpeed) || level.startSpeed <= MIN_SPEED_THRESHOLD || level.startSpeed > MAX_START_SPEED) {
+        errors.push(`${label}: startSpeed must be a number above ${MIN_SPEED_THRESHOLD} and at most ${MAX_START_SPEED} km/h`);
+    }
+    if (!isNumber(level.finishX) || level.finishX <= 0) {
+        errors.push(`${label}: finishX must be a positive number`);
+    }
+    if (!Array.isArray(level.lights) || level.lights.length === 0) {
+        errors.push(`${label} needs at least one light`);
+        return errors;
+    }
+
+    level.lights.forEach((light, index) => {
+        const lightLabel = `${label}, light ${index + 1}`;
+        if (!light || typeof light !== 'object') {
+            errors.push(`${lightLabel} is not an object`);
+            return;
+        }
+        if (!isNumber(light.x)) {
+            errors.push(`${lightLabel}: x must be a number`);
+        } else if (light.x <= MAX_VEHICLE_LENGTH / 2) {
+            // Every vehicle starts centred on x=0, so a light this close would be under the longest one
+            errors.push(`${lightLabel} at x=${light.x} is behind the front of a vehicle at the start (x must be above ${MAX_VEHICLE_LENGTH / 2})`);
+        }
+        if (!isNumber(light.greenDuration) || light.greenDuration <= 0) {
+            errors.push(`${lightLabel}: greenDuration must be a positive number of seconds`);
+        }
+        if (!isNumber(light.redDuration) || light.redDuration <= 0) {
+            errors.push(`${lightLabel}: redDuration must be a positive number of seconds`);
+        }
+        if (!isNumber(light.offset) || light.offset < 0) {
+            errors.push(`${lightLabel}: offset must be zero or a positive number of seconds`);
+        }
+
+        // The simulation expects lights in road order, far enough apart to tell apart
+        const previous = level.lights[index - 1];
+        if (previous && isNumber(previous.x) && isNumber(light.x)) {
+            if (light.x <= previous.x) {
+                errors.push(`${lightLabel} at x=${light.x} must come after light ${index} at x=${previous.x} (lights are listed in road order)`);
+            } else if (light.x - previous.x < MIN_LIGHT_SPACING) {
+                errors.push(`${lightLabel} at x=${light.x} overlaps light ${index} at x=${previous.x} (keep lights at least ${MIN_LIGHT_SPACING} px apart)`);
+            }
+        }
+    });
+
+    const last = level.lights[level.lights.length - 1];
+    if (isNumber(level.finishX) && last && isNumber(last.x) && level.finishX <= last.x) {
+        errors.push(`${label}: finishX (${level.finishX}) must be after the last light at x=${last.x}`);
+    }
+
+    return errors;
+}
+
+// Check a whole pack; returns a list of problems (empty when valid)
+function getLevelPackErrors(pack) {
+    if (!pack || typeof pack !== 'object' || pack.format !== LEVEL_PACK_FORMAT) {
+        return ['This is not a Green Wave level pack'];
+    }
+    if (!Number.isInteger(pack.version) || pack.version > LEVEL_PACK_VERSION) {
+        return ['This level pack was made for a newer version of the game'];
+    }
+
+    const errors = [];
+    if (typeof pack.id !== 'string' || !/^[a-z0-9-]{1,40}$/.test(pack.id)) {
+        errors.push('Pack id must be 1-40 lowercase letters, digits or dashes');
+    }
+    if (typeof pack.name !== 'string' || pack.name.trim() === '') {
+        errors.push('Pack needs a name');
+    }
+    if (pack.description !== undefined && typeof pack.description !== 'string') {
+        errors.push('Pack description must be text');
+    }
+    if (pack.unlock !== undefined) {
+        if (!pack.unlock || !UNLOCK_RULES.includes(pack.unlock.rule)) {
+            errors.push(`Pack unlock rule must be one of: ${UNLOCK_RULES.join(', ')}`);
+        } else if (pack.unlock.rule === 'stars' && !(Number.isInteger(pack.unlock.perLevel) && pack.unlock.perLevel >= 1 && pack.unlock.perLevel <= 3)) {
+            errors.push('Pack unlock rule "stars" needs perLevel: a whole number of stars from 1 to 3');
+        }
+    }
+    if (!Array.isArray(pack.levels) || pack.levels.length === 0) {
+        errors.push('Pack needs at least one level');
+    } else if (pack.levels.length > MAX_PACK_LEVELS) {
+        errors.push(`Pack has ${pack.levels.length} levels; the most a pack can hold is ${MAX_PACK_LEVELS}`);
+    } else {
+        pack.levels.forEach((level, index) => {
+            const name = level && typeof level.name === 'string' ? ` "${level.name}"` : '';
+            errors.push(...getLevelErrors(level, `Level ${index + 1}${name}`));
+        });
+    }
+    return errors;
+}
+
+// Parse and validate level pack file contents; throws with every problem found
+function parseLevelPack(text) {
+    let pack;
+    try {
+        pack = JSON.parse(text);
+    } catch (e) {
+        throw new Error('This file is not valid JSON');
+    }
+
+    const errors = getLevelPackErrors(pack);
+    if (errors.length > 0) {
+        throw new Error(errors.join('\n'));
+    }
+    return pack;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LEVEL_PACK_FORMAT, getLevelErrors, getLevelPackErrors, parseLevelPack };
+
+    // Command line: validate the given pack files
+    if (require.main === module) {
+        const fs = require('fs');
+        let allValid = true;
+
+        for (const file of process.argv.slice(2)) {
+            try {
+                const pack = parseLevelPack(fs.readFileSync(file, 'utf8'));
+                console.log(`${file}: "${pack.name}" OK (${pack.levels.length} levels)`);
+            } catch (error) {
+                allValid = false;
+                console.error(`${file}:\n  ${error.message.split('\n').join('\n  ')}`);
+            }
+        }
+
+        process.exitCode = allValid ? 0 : 1;
+    }
+}
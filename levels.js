@@ -0,0 +1,109 @@
+// Green Wave Levels
+// The built-in "classic" level pack, shared by the game and the headless simulation.
+// It follows the same schema as the JSON packs in levels/ (see levelpack.js), but
+// lives in a script so the game still runs when opened straight from disk.
+
+const CLASSIC_PACK_ID = 'classic';
+
+// Each light has: position (x), cycle timing (greenDuration, redDuration), and phase offset
+const classicPack = {
+    format: 'green-wave-level-pack',
+    version: 1,
+    id: CLASSIC_PACK_ID,
+    name: 'Classic',
+    description: 'The original seven levels, from the first light to the long road.',
+    unlock: { rule: 'previous' }, // Finish a level to unlock the next
+    levels: [
+        {
+            // Tutorial: Just one light with long green, teaches basic controls
+            name: "First light",
+            startSpeed: 40,
+            lights: [
+                { x: 600, greenDuration: 4, redDuration: 2, offset: 0 },
+            ],
+            finishX: 900
+        },
+        {
+            // Two lights, introduces timing between lights
+            name: "Easy start",
+            startSpeed: 40,
+            lights: [
+                { x: 500, greenDuration: 3.5, redDuration: 2, offset: 0 },
+                { x: 1000, greenDuration: 3.5, redDuration: 2, offset: 1.5 },
+            ],
+            finishX: 1300
+        },
+        {
+            // Three lights, first real challenge
+            name: "Finding the rhythm",
+            startSpeed: 45,
+            lights: [
+                { x: 500, greenDuration: 3, redDuration: 2, offset: 0 },
+                { x: 900, greenDuration: 3, redDuration: 2, offset: 1 },
+                { x: 1300, greenDuration: 3, redDuration: 2, offset: 2 },
+            ],
+            finishX: 1600
+        },
+        {
+            // Four lights with tighter timing
+            name: "Keep the pace",
+            startSpeed: 50,
+            lights: [
+                { x: 400, greenDuration: 2.5, redDuration: 2.5, offset: 0 },
+                { x: 700, greenDuration: 2.5, redDuration: 2.5, offset: 1.2 },
+                { x: 1000, greenDuration: 2.5, redDuration: 2.5, offset: 2.4 },
+                { x: 1300, greenDuration: 2.5, redDuration: 2.5, offset: 3.6 },
+            ],
+            finishX: 1600
+        },
+        {
+            // Mixed timing requires speed adjustment
+            name: "Speed adjustment",
+            startSpeed: 60,
+            lights: [
+                { x: 400, greenDuration: 2, redDuration: 3, offset: 0 },
+                { x: 750, greenDuration: 3, redDuration: 2, offset: 0.5 },
+                { x: 1100, greenDuration: 2, redDuration: 3, offset: 2 },
+                { x: 1400, greenDuration: 2.5, redDuration: 2.5, offset: 1 },
+                { x: 1700, greenDuration: 3, redDuration: 2, offset: 3 },
+            ],
+            finishX: 2000
+        },
+        {
+            // Long level with many lights
+            name: "The long road",
+            startSpeed: 55,
+            lights: [
+                { x: 350, greenDuration: 2, redDuration: 2, offset: 0 },
+                { x: 600, greenDuration: 2.5, redDuration: 2, offset: 0.8 },
+                { x: 850, greenDuration: 2, redDuration: 2.5, offset: 1.8 },
+                { x: 1100, greenDuration: 3, redDuration: 2, offset: 2.5 },
+                { x: 1400, greenDuration: 2, redDuration: 2, offset: 3.5 },
+                { x: 1700, greenDuration: 2.5, redDuration: 2.5, offset: 4.2 },
+                { x: 2000, greenDuration: 2, redDuration: 3, offset: 5 },
+            ],
+            finishX: 2300
+        },
+        {
+            // Short greens, requires patience and precise timing
+            name: "Patience required",
+            startSpeed: 70,
+            lights: [
+                { x: 400, greenDuration: 1.5, redDuration: 3, offset: 0 },
+                { x: 700, greenDuration: 2, redDuration: 2.5, offset: 1.5 },
+                { x: 950, greenDuration: 1.5, redDuration: 3, offset: 0.5 },
+                { x: 1250, greenDuration: 2.5, redDuration: 2, offset: 2.5 },
+                { x: 1500, greenDuration: 2, redDuration: 2.5, offset: 3.5 },
+                { x: 1800, greenDuration: 1.5, redDuration: 3, offset: 1 },
+            ],
+            finishX: 2100
+        }
+    ]
+};
+
+const levels = classicPack.levels;
+
+// Allow the levels to be loaded headless under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CLASSIC_PACK_ID, classicPack, levels };
+}
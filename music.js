@@ -0,0 +1,149 @@
+// Green Wave Music
+// Generated background music that follows the level's traffic lights. Each bar
+// stands for one light's full cycle (red, yellow, green, blinking yellow), so
+// the tempo comes from the level's cycle lengths, and the melody only plays in
+// the part of the bar where that light is green. The chords step through the
+// lights in road order, so every level has its own phrase.
+//
+// Layers build up as the player chains green passes and drop out after hard
+// braking: bass, then hi-hats, then the melody, then a pad.
+// Uses the audio graph from audio.js and does nothing until initAudio() has run.
+
+const MUSIC_STEPS_PER_BAR = 16;
+const MUSIC_MIN_BAR = 1.6; // s; bar length is the cycle length halved or doubled into this range
+const MUSIC_MAX_BAR = 3.2; // s
+const MUSIC_PHRASE_LIGHTS = 8; // lights that make up one phrase
+const MUSIC_SCHEDULE_AHEAD = 0.15; // s of notes queued ahead of the audio clock
+const MUSIC_ROOT = 110; // Hz, A2
+const MUSIC_CHORDS = [0, -4, 3, -2]; // Semitones from the root: Am, F, C, G
+const MUSIC_LAYER_STREAKS = [0, 1, 3, 5]; // Green passes in a row needed for each layer
+
+let musicTrack = null; // { stepDuration, bars, layers, step, nextStepTime } for the current run
+
+function getCycleDuration(light) {
+    return light.redDuration + YELLOW_BEFORE_GREEN + light.greenDuration + YELLOW_AFTER_GREEN;
+}
+
+// One bar per light: which of the bar's steps fall in that light's green on the difficulty driven
+function createMusicBar(light, index, difficulty) {
+    const cycle = getCycleDuration(light);
+    const greenSteps = [];
+    for (let step = 0; step < MUSIC_STEPS_PER_BAR; step++) {
+        const time = (step / MUSIC_STEPS_PER_BAR) * cycle;
+        greenSteps.push(getLightState({ ...light, offset: 0 }, time, difficulty) === 'green');
+    }
+    return { chord: MUSIC_CHORDS[index % MUSIC_CHORDS.length], greenSteps };
+}
+
+function startMusic(level, difficulty = DEFAULT_DIFFICULTY) {
+    const lights = level.lights.slice(0, MUSIC_PHRASE_LIGHTS);
+    if (lights.length === 0) {
+        musicTrack = null;
+        return;
+    }
+
+    // The average light cycle, halved or doubled into a comfortable bar length
+    let barDuration = lights.reduce((sum, light) => sum + getCycleDuration(light), 0) / lights.length;
+    while (barDuration > MUSIC_MAX_BAR) barDuration /= 2;
+    while (barDuration < MUSIC_MIN_BAR) barDuration *= 2;
+
+    musicTrack = {
+        stepDuration: barDuration / MUSIC_STEPS_PER_BAR,
+        bars: lights.map((light, index) => createMusicBar(light, index, difficulty)),
+        layers: 1,
+        step: 0,
+        nextStepTime: null
+    };
+}
+
+function setMusicStreak(streak) {
+    if (!musicTrack) return;
+    musicTrack.layers = MUSIC_LAYER_STREAKS.filter(needed => streak >= needed).length;
+}
+
+function getMusicFrequency(semitones) {
+    return MUSIC_ROOT * Math.pow(2, semitones / 12);
+}
+
+// Called every frame; queues the notes due before the next frame. Stopped music
+// picks up where it left off when `playing` turns true again.
+function updateMusic(playing) {
+    if (!audioContext || !musicTrack) return;
+    if (!playing) {
+        musicTrack.nextStepTime = null;
+        return;
+    }
+
+    if (musicTrack.nextStepTime === null) {
+        musicTrack.nextStepTime = audioContext.currentTime + 0.05;
+    }
+    while (musicTrack.nextStepTime < audioContext.currentTime + MUSIC_SCHEDULE_AHEAD) {
+        playMusicStep(musicTrack.step, musicTrack.nextStepTime - audioContext.currentTime);
+        musicTrack.step++;
+        musicTrack.nextStepTime += musicTrack.stepDuration;
+    }
+}
+
+function playMusicStep(step, delay) {
+    const stepInBar = step % MUSIC_STEPS_PER_BAR;
+    const bar = musicTrack.bars[Math.floor(step / MUSIC_STEPS_PER_BAR) % musicTrack.bars.length];
+    const beatLength = musicTrack.stepDuration * 4;
+    const layers = musicTrack.layers;
+
+    // Bass on every beat, accented at the start of the bar
+    if (stepInBar % 4 === 0) {
+        playMusicTone(getMusicFrequency(bar.chord), delay, beatLength * 0.8, 'triangle', stepInBar === 0 ? 0.2 : 0.12);
+    }
+    // Hi-hat on the off-beat eighths
+    if (layers >= 2 && stepInBar % 4 === 2) {
+        playMusicNoise(delay, 0.04, 0.05);
+    }
+    // Melody: chord tones in eighths, only while this bar's light is green
+    if (layers >= 3 && stepInBar % 2 === 0 && bar.greenSteps[stepInBar]) {
+        const tones = [0, 3, 7, 12];
+        const note = bar.chord + 24 + tones[(stepInBar / 2) % tones.length];
+        playMusicTone(getMusicFrequency(note), delay, musicTrack.stepDuration * 1.6, 'square', 0.04);
+    }
+    // Pad: the chord held for the whole bar
+    if (layers >= 4 && stepInBar === 0) {
+        [12, 15, 19].forEach(interval => {
+            playMusicTone(getMusicFrequency(bar.chord + interval), delay, beatLength * 4, 'sine', 0.04);
+        });
+    }
+}
+
+function playMusicTone(frequency, delay, duration, type, volume) {
+    const start = audioContext.currentTime + delay;
+    const oscillator = audioContext.createOscillator();
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(frequency, start);
+
+    const gain = audioContext.createGain();
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(volume, start + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+    oscillator.connect(gain);
+    gain.connect(musicGain);
+    oscillator.start(start);
+    oscillator.stop(start + duration + 0.05);
+}
+
+function playMusicNoise(delay, duration, volume) {
+    const start = audioContext.currentTime + delay;
+    const noise = audioContext.createBufferSource();
+    noise.buffer = noiseBuffer;
+    const filter = audioContext.createBiquadFilter();
+    filter.type = 'highpass';
+    filter.frequency.value = 7000;
+
+    const gain = audioContext.createGain();
+    gain.gain.setValueAtTime(volume, start);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+    noise.connect(filter);
+    filter.connect(gain);
+    gain.connect(musicGain);
+    noise.start(start);
+    noise.stop(start + duration + 0.05);
+}
@@ -0,0 +1,199 @@
+// Green Wave Replays
+// Compact, versioned replay files built from the per-tick pedal input of a run.
+// Because the simulation advances in fixed ticks, the level, start speed, vehicle,
+// difficulty and input stream are enough to reproduce a run exactly.
+
+const REPLAY_VERSION = 2;
+const REPLAY_FORMAT = 'green-wave-replay';
+const MAX_REPLAY_TICKS = 60 * 60 * 60; // An hour of driving; longer replays are refused
+
+// Version 2: runs of ticks with the same pedal positions, joined by '.'. Each run
+// is the gas and brake position as one base36 digit each (pedal steps, 0 to
+// PEDAL_STEPS), followed by a base36 repeat count
+// e.g. "001g.k02s.0k10" = coast 52 ticks, full gas 100 ticks, full brake 36 ticks
+function getInputCode(input) {
+    const gas = Math.round(quantizePedal(input.gas) * PEDAL_STEPS);
+    const brake = Math.round(quantizePedal(input.brake) * PEDAL_STEPS);
+    return gas.toString(36) + brake.toString(36);
+}
+
+// Run-length encode a per-tick array of { gas, brake }
+function encodeInputs(inputs) {
+    const runs = [];
+    let runCode = null;
+    let runLength = 0;
+
+    for (const input of inputs) {
+        const code = getInputCode(input);
+        if (code === runCode) {
+            runLength++;
+            continue;
+        }
+        if (runCode) runs.push(runCode + runLength.toString(36));
+        runCode = code;
+        runLength = 1;
+    }
+    if (runCode) runs.push(runCode + runLength.toString(36));
+
+    return runs.join('.');
+}
+
+// Decoding stops with an error as soon as the runs add up to more than `maxTicks`,
+// so a crafted repeat count can't expand into millions of inputs
+function decodeInputs(encoded, maxTicks = MAX_REPLAY_TICKS) {
+    const inputs = [];
+    if (encoded === '') return inputs;
+
+    for (const run of encoded.split('.')) {
+        const match = run.match(/^([0-9a-k])([0-9a-k])([0-9a-z]+)$/);
+        const gas = match ? parseInt(match[1], 36) : NaN;
+        const brake = match ? parseInt(match[2], 36) : NaN;
+        if (!(gas <= PEDAL_STEPS && brake <= PEDAL_STEPS)) {
+            throw new Error('Replay input stream is corrupted');
+        }
+        const input = { gas: gas / PEDAL_STEPS, brake: brake / PEDAL_STEPS };
+        const length = parseInt(match[3], 36);
+        if (inputs.length + length > maxTicks) {
+            throw new Error('Replay input stream is corrupted');
+        }
+        for (let i = 0; i < length; i++) {
+            inputs.push(input);
+        }
+    }
+    return inputs;
+}
+
+// Version 1 replays had on/off pedals: one letter per pedal combination, followed
+// by a base36 repeat count, e.g. "C1gG2sB10" = coast 52 ticks, gas 100 ticks, brake 36 ticks
+const V1_INPUT_CODES = { C: [false, false], G: [true, false], B: [false, true], X: [true, true] };
+
+function decodeInputsV1(encoded, maxTicks = MAX_REPLAY_TICKS) {
+    if (!/^([CGBX][0-9a-z]+)*$/.test(encoded)) {
+        throw new Error('Replay input stream is corrupted');
+    }
+
+    const inputs = [];
+    for (const [, code, count] of encoded.matchAll(/([CGBX])([0-9a-z]+)/g)) {
+        const [gas, brake] = V1_INPUT_CODES[code];
+        const length = parseInt(count, 36);
+        if (inputs.length + length > maxTicks) {
+            throw new Error('Replay input stream is corrupted');
+        }
+        for (let i = 0; i < length; i++) {
+            inputs.push({ gas, brake });
+        }
+    }
+    return inputs;
+}
+
+// Build a replay for a finished (or abandoned) run
+// `level` is the 1-based level number, `result` the simulation's final state.
+// `source` says where the level came from when it isn't a classic level:
+//   customLevel - the definition, embedded since it isn't in any level list
+//   pack        - the level pack id
+//   endless     - the seed of an endless road, which regenerates the lights
+//   vehicle     - the vehicle driven, when it isn't the default one
+//   difficulty  - the difficulty driven on, when it isn't the default one
+function createReplay(level, startSpeed, inputs, result, source = {}) {
+    const replay = {
+        format: REPLAY_FORMAT,
+        version: REPLAY_VERSION,
+        level: level,
+        startSpeed: startSpeed,
+        tickRate: Math.round(1 / SIM_TIMESTEP),
+        ticks: inputs.length,
+        outcome: result.status,
+        time: parseFloat(result.time.toFixed(3)),
+        inputs: encodeInputs(inputs),
+        recordedAt: Date.now()
+    };
+    for (const key of ['customLevel', 'pack', 'endless', 'vehicle', 'difficulty']) {
+        if (source[key]) {
+            replay[key] = source[key];
+        }
+    }
+    return replay;
+}
+
+function serializeReplay(replay) {
+    return JSON.stringify(replay);
+}
+
+// Parse and validate replay file contents; throws with a readable message
+function parseReplay(text) {
+    let replay;
+    try {
+        replay = JSON.parse(text);
+    } catch (e) {
+        throw new Error('This file is not a Green Wave replay');
+    }
+
+    if (!replay || replay.format !== REPLAY_FORMAT) {
+        throw new Error('This file is not a Green Wave replay');
+    }
+    if (!Number.isInteger(replay.version) || replay.version < 1) {
+        throw new Error('This file is not a Green Wave replay');
+    }
+    if (replay.version > REPLAY_VERSION) {
+        throw new Error('This replay was made with a newer version of the game');
+    }
+    if (replay.tickRate !== Math.round(1 / SIM_TIMESTEP)) {
+        throw new Error('This replay uses an unsupported tick rate');
+    }
+    if (!Number.isInteger(replay.level) || replay.level < 1) {
+        throw new Error('This replay has an invalid level number');
+    }
+    if (!Number.isInteger(replay.ticks) || replay.ticks < 0 || replay.ticks > MAX_REPLAY_TICKS) {
+        throw new Error('This replay has an invalid length');
+    }
+    if (typeof replay.startSpeed !== 'number' || replay.startSpeed < 0) {
+        throw new Error('This replay has an invalid start speed');
+    }
+    if (replay.pack !== undefined && typeof replay.pack !== 'string') {
+        throw new Error('This replay has an invalid level pack');
+    }
+    if (replay.vehicle !== undefined && !Object.keys(VEHICLES).includes(replay.vehicle)) {
+        throw new Error('This replay was driven with an unknown vehicle');
+    }
+    if (replay.difficulty !== undefined && !Object.keys(DIFFICULTIES).includes(replay.difficulty)) {
+        throw new Error('This replay was driven on an unknown difficulty');
+    }
+    if (replay.endless !== undefined && !isValidEndlessSeed(replay.endless)) {
+        throw new Error('This replay has an invalid endless road');
+    }
+    // Same rules as level packs, so an embedded level is always drivable
+    if (replay.customLevel !== undefined && getLevelErrors(replay.customLevel, 'The replayed level').length > 0) {
+        throw new Error('This replay has an invalid custom level');
+    }
+
+    const encoded = String(replay.inputs || '');
+    const inputs = replay.version === 1 ? decodeInputsV1(encoded, replay.ticks) : decodeInputs(encoded, replay.ticks);
+    if (inputs.length !== replay.ticks) {
+        throw new Error('Replay input stream is corrupted');
+    }
+
+    return { replay, inputs };
+}
+
+// Allow replays to be produced and checked headless under Node
+if (typeof module !== 'undefined' && module.exports) {
+    // The simulation, isValidEndlessSeed and getLevelErrors are browser globals; pull them in for Node
+    if (typeof SIM_TIMESTEP === 'undefined') {
+        const { SIM_TIMESTEP, PEDAL_STEPS, VEHICLES, DIFFICULTIES, quantizePedal } = require('./simulation.js');
+        Object.assign(global, { SIM_TIMESTEP, PEDAL_STEPS, VEHICLES, DIFFICULTIES, quantizePedal });
+    }
+    if (typeof isValidEndlessSeed === 'undefined') {
+        global.isValidEndlessSeed = require('./endless.js').isValidEndlessSeed;
+    }
+    if (typeof getLevelErrors === 'undefined') {
+        global.getLevelErrors = require('./levelpack.js').getLevelErrors;
+    }
+    module.exports = {
+        REPLAY_VERSION,
+        encodeInputs,
+        decodeInputs,
+        createReplay,
+        serializeReplay,
+        parseReplay
+    };
+}
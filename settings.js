@@ -0,0 +1,227 @@
+// Green Wave Settings
+// Player preferences kept in localStorage: key and gamepad bindings, which HUD
+// items are shown, the route preview and countdown, the speed advisory, speed
+// units and sound volumes. Everything that reads input or draws
+// the HUD asks these settings instead of using fixed keys.
+
+const SETTINGS_KEY = 'greenWaveSettings';
+const MAX_KEYS_PER_ACTION = 2;
+const KMH_PER_MPH = 1.609344;
+
+// Actions that can be bound to keys, in the order the settings panel lists them
+const KEY_ACTIONS = [
+    { id: 'gas', label: 'Gas' },
+    { id: 'brake', label: 'Brake' },
+    { id: 'restart', label: 'Restart' },
+    { id: 'ghost', label: 'Toggle ghost' },
+    { id: 'pause', label: 'Pause' }
+];
+
+const HUD_ITEMS = [
+    { id: 'speed', label: 'Speed' },
+    { id: 'lights', label: 'Lights passed' },
+    { id: 'time', label: 'Time' },
+    { id: 'ghost', label: 'Ghost time difference' },
+    { id: 'diagram', label: 'Time-space diagram' }
+];
+
+const SPEED_UNITS = {
+    kmh: { label: 'km/h', perKmh: 1 },
+    mph: { label: 'mph', perKmh: 1 / KMH_PER_MPH }
+};
+
+function getDefaultSettings() {
+    return {
+        keys: {
+            gas: ['w', 'ArrowUp'],
+            brake: ['s', 'ArrowDown'],
+            restart: ['r'],
+            ghost: ['g'],
+            pause: ['Escape', 'p']
+        },
+        keyRamp: true, // Held pedal keys press the pedal down gradually instead of all at once
+        preview: true, // Fly the camera along a level's road before its first run
+        countdown: true, // Count down from 3 before every run
+        assist: false, // Speed advisory (advisory.js); runs driven with it set no records
+        hud: { speed: true, lights: true, time: true, ghost: true, diagram: false },
+        units: 'kmh',
+        volume: 0.8, // Master volume, 0-1
+        sfxVolume: 1, // Sound effects, 0-1 of the master volume
+        musicVolume: 0.6, // Music, 0-1 of the master volume
+        muted: false,
+        gamepad: {
+            pedals: 'triggers', // A key of PAD_PEDAL_MAPPINGS (gamepad.js)
+            restart: 3, // Button index, one of PAD_RESTART_BUTTONS
+            rumble: true
+        }
+    };
+}
+
+// Letters are bound case-insensitively, so Shift or Caps Lock don't change what a key does
+function normalizeKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+// Settings from storage, with anything missing or malformed taken from the defaults
+function loadSettings() {
+    const settings = getDefaultSettings();
+    let stored;
+    try {
+        stored = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    } catch (e) {
+        stored = null;
+    }
+    if (!stored || typeof stored !== 'object') return settings;
+
+    if (stored.keys && typeof stored.keys === 'object') {
+        KEY_ACTIONS.forEach(({ id }) => {
+            const bound = stored.keys[id];
+            if (Array.isArray(bound) && bound.length > 0 && bound.length <= MAX_KEYS_PER_ACTION &&
+                bound.every(key => typeof key === 'string' && key !== '')) {
+                settings.keys[id] = bound.map(normalizeKey);
+            }
+        });
+        // A key bound to two actions would do both; fall back to the default bindings
+        if (getBindingConflicts(settings).length > 0) {
+            settings.keys = getDefaultSettings().keys;
+        }
+    }
+    ['keyRamp', 'preview', 'countdown', 'assist'].forEach(id => {
+        if (typeof stored[id] === 'boolean') {
+            settings[id] = stored[id];
+        }
+    });
+    if (stored.hud && typeof stored.hud === 'object') {
+        HUD_ITEMS.forEach(({ id }) => {
+            if (typeof stored.hud[id] === 'boolean') settings.hud[id] = stored.hud[id];
+        });
+    }
+    if (SPEED_UNITS[stored.units]) {
+        settings.units = stored.units;
+    }
+    ['volume', 'sfxVolume', 'musicVolume'].forEach(id => {
+        if (typeof stored[id] === 'number' && stored[id] >= 0 && stored[id] <= 1) {
+            settings[id] = stored[id];
+        }
+    });
+    if (typeof stored.muted === 'boolean') {
+        settings.muted = stored.muted;
+    }
+    if (stored.gamepad && typeof stored.gamepad === 'object') {
+        if (PAD_PEDAL_MAPPINGS[stored.gamepad.pedals]) {
+            settings.gamepad.pedals = stored.gamepad.pedals;
+        }
+        if (PAD_RESTART_BUTTONS.some(({ index }) => index === stored.gamepad.restart)) {
+            settings.gamepad.restart = stored.gamepad.restart;
+        }
+        if (typeof stored.gamepad.rumble === 'boolean') {
+            settings.gamepad.rumble = stored.gamepad.rumble;
+        }
+    }
+    return settings;
+}
+
+function saveSettings(settings) {
+    try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) {
+        // localStorage might be unavailable
+    }
+}
+
+// The action a key press triggers, or null
+function getKeyAction(settings, key) {
+    const normalized = normalizeKey(key);
+    const action = KEY_ACTIONS.find(({ id }) => settings.keys[id].includes(normalized));
+    return action ? action.id : null;
+}
+
+// Keys bound to more than one action: [{ key, actions }]
+function getBindingConflicts(settings) {
+    const owners = {};
+    KEY_ACTIONS.forEach(({ id }) => {
+        settings.keys[id].forEach(key => {
+            (owners[key] = owners[key] || []).push(id);
+        });
+    });
+    return Object.keys(owners)
+        .filter(key => owners[key].length > 1)
+        .map(key => ({ key, actions: owners[key] }));
+}
+
+// Bind `key` to slot `slot` of `action`. Returns an error message and changes
+// nothing when the key already belongs to another action.
+function bindKey(settings, action, slot, key) {
+    const normalized = normalizeKey(key);
+    const owner = getKeyAction(settings, normalized);
+    if (owner !== null && owner !== action) {
+        const ownerLabel = KEY_ACTIONS.find(({ id }) => id === owner).label;
+        return `${formatKeyName(normalized)} is already used for ${ownerLabel}`;
+    }
+
+    const bound = settings.keys[action].slice();
+    const target = Math.min(slot, bound.length);
+    const current = bound.indexOf(normalized);
+    // A key the action already has in its other slot swaps places with this one
+    if (current !== -1 && current !== target) {
+        bound[current] = bound[target];
+    }
+    bound[target] = normalized;
+    settings.keys[action] = bound.filter(key => key !== undefined);
+    return null;
+}
+
+// Remove the key in `slot`; every action keeps at least one key
+function unbindKey(settings, action, slot) {
+    if (settings.keys[action].length <= 1) {
+        return 'Every action needs at least one key';
+    }
+    settings.keys[action].splice(slot, 1);
+    return null;
+}
+
+const KEY_NAMES = {
+    ' ': 'Space',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Escape: 'Esc'
+};
+
+function formatKeyName(key) {
+    if (KEY_NAMES[key]) return KEY_NAMES[key];
+    return key.length === 1 ? key.toUpperCase() : key;
+}
+
+// e.g. "W / ↑"
+function formatBindings(settings, action) {
+    return settings.keys[action].map(formatKeyName).join(' / ');
+}
+
+// Speeds are km/h everywhere in the game; only the display converts
+function convertSpeed(kmh, units) {
+    return kmh * SPEED_UNITS[units].perKmh;
+}
+
+function getSpeedUnitLabel(units) {
+    return SPEED_UNITS[units].label;
+}
+
+// Allow the settings rules to be checked headless under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        KEY_ACTIONS,
+        HUD_ITEMS,
+        getDefaultSettings,
+        normalizeKey,
+        getKeyAction,
+        getBindingConflicts,
+        bindKey,
+        unbindKey,
+        formatKeyName,
+        formatBindings,
+        convertSpeed,
+        getSpeedUnitLabel
+    };
+}
@@ -0,0 +1,414 @@
+// Green Wave Simulation
+// Headless, fixed-timestep driving model shared by the game and offline tools.
+// Nothing in this file may touch document, window or the canvas, so it can be
+// loaded with a plain <script> tag in the browser or required from Node.
+
+// Fixed simulation step (seconds). The renderer accumulates frame time and
+// advances the simulation in whole ticks, so a run depends only on its inputs.
+const SIM_TIMESTEP = 1 / 60;
+
+// Vehicle profiles. Speeds are km/h, acceleration, braking and friction (coasting
+// slowdown) km/h per second. `length` is the body length in world pixels; light
+// passes are measured at the vehicle's front. `idleFuel` is the fuel burnt standing
+// still with the engine running, in ml per second.
+const VEHICLES = {
+    sedan: { name: 'Sedan', maxSpeed: 120, acceleration: 40, brakePower: 60, friction: 5, length: 100, idleFuel: 0.25 },
+    bus: { name: 'City bus', maxSpeed: 90, acceleration: 22, brakePower: 45, friction: 7, length: 180, idleFuel: 0.7 },
+    sports: { name: 'Sports car', maxSpeed: 150, acceleration: 55, brakePower: 100, friction: 4, length: 90, idleFuel: 0.35 }
+};
+const DEFAULT_VEHICLE = 'sedan';
+
+// Longest body of any vehicle, so level checks hold whichever one is driven
+const MAX_VEHICLE_LENGTH = Math.max(...Object.values(VEHICLES).map(vehicle => vehicle.length));
+
+// Levels start at most this fast; slower vehicles start at their own top speed
+const MAX_START_SPEED = 120; // km/h
+const MIN_SPEED_THRESHOLD = 2; // Below this, considered stopped
+
+// Pedals are pressed from 0 (released) to 1 (floored) in steps of 1/PEDAL_STEPS,
+// so a recorded run can be stored exactly and replayed tick for tick
+const PEDAL_STEPS = 20;
+
+// Convert km/h to pixels per second
+// Using 3 pixels per km/h gives a good game feel: at 60 km/h the car moves
+// 180 pixels/sec, covering the ~1600-2300 pixel levels in 9-13 seconds
+const PIXELS_PER_KMH = 3;
+
+// A light's stop line is at its x. Where stopping at lights is allowed, the car may
+// stand still with its front up to this far before the stop line of the next light.
+const STOP_LINE_ZONE = 100; // px, about 9 m
+
+// Traffic light timing constants (Normal difficulty). A light's cycle always
+// lasts redDuration + YELLOW_BEFORE_GREEN + greenDuration + YELLOW_AFTER_GREEN.
+const YELLOW_BEFORE_GREEN = 1.0; // Yellow phase before green (preparing to go)
+const YELLOW_AFTER_GREEN = 1.5; // Blinking yellow after green (warning)
+
+// Difficulties change the rules, not the levels:
+//   yellowBeforeGreen, yellowAfterGreen - yellow phases in seconds. Green stays where
+//     it is in the cycle and longer yellows take their time from red (shorter ones
+//     give it back), so every difficulty drives the same green wave.
+//   stopFails      - coming to a standstill breaks the wave
+//   stopAtLights   - ...except in the stop-line zone of the next light (see STOP_LINE_ZONE)
+//   blinkingPasses - a blinking yellow can be passed; otherwise it counts like red
+//   idlePenalty    - null, or what standing still adds to the speed change the stars are
+//                    judged on: `perSecond` km/h per second and `perMl` km/h per ml of fuel
+//   stars          - normalized driving score (see getDrivingScore) below which a run
+//                    earns 3 and 2 stars
+const DIFFICULTIES = {
+    easy: {
+        name: 'Easy',
+        description: 'Longer yellows, and you can stop and wait at a red light',
+        yellowBeforeGreen: 1.5,
+        yellowAfterGreen: 2.0,
+        stopFails: false,
+        stopAtLights: false,
+        blinkingPasses: true,
+        idlePenalty: null,
+        stars: [30, 70]
+    },
+    normal: {
+        name: 'Normal',
+        description: 'The classic rules',
+        yellowBeforeGreen: YELLOW_BEFORE_GREEN,
+        yellowAfterGreen: YELLOW_AFTER_GREEN,
+        stopFails: true,
+        stopAtLights: false,
+        blinkingPasses: true,
+        idlePenalty: null,
+        stars: [20, 50]
+    },
+    hard: {
+        name: 'Hard',
+        description: 'Short yellows, a blinking yellow counts as red, and stars take a smoother drive',
+        yellowBeforeGreen: 0.5,
+        yellowAfterGreen: 1.0,
+        stopFails: true,
+        stopAtLights: false,
+        blinkingPasses: false,
+        idlePenalty: null,
+        stars: [12, 35]
+    },
+    realistic: {
+        name: 'Realistic',
+        description: 'Stop at the stop line and wait for green like on a real road - but idling costs stars',
+        yellowBeforeGreen: YELLOW_BEFORE_GREEN,
+        yellowAfterGreen: YELLOW_AFTER_GREEN,
+        stopFails: true,
+        stopAtLights: true,
+        blinkingPasses: true,
+        idlePenalty: { perSecond: 10, perMl: 10 },
+        stars: [20, 50]
+    }
+};
+const DEFAULT_DIFFICULTY = 'normal';
+
+// Fail reasons reported by the simulation
+const FAIL_RED_LIGHT = 'red-light';
+const FAIL_STOPPED = 'stopped';
+const FAIL_BLINKING = 'blinking-yellow'; // Only when the difficulty doesn't allow blinking passes
+
+function getDifficulty(id) {
+    return DIFFICULTIES[id] || DIFFICULTIES[DEFAULT_DIFFICULTY];
+}
+
+// Phase boundaries of a light, in seconds into its cycle.
+// Cycle: Red → Yellow (before green) → Green → Blinking Yellow → Red. The blinking
+// yellow can run past the end of the cycle into its start (`blinkingEnd` > `cycle`);
+// on a red too short for a difficulty's yellows, the two yellows meet halfway.
+function getLightPhases(light, difficulty) {
+    const rules = getDifficulty(difficulty);
+    const cycle = light.redDuration + YELLOW_BEFORE_GREEN + light.greenDuration + YELLOW_AFTER_GREEN;
+    const greenStart = light.redDuration + YELLOW_BEFORE_GREEN;
+    const greenEnd = greenStart + light.greenDuration;
+    let yellowStart = greenStart - rules.yellowBeforeGreen;
+    let blinkingEnd = greenEnd + rules.yellowAfterGreen;
+    const overlap = blinkingEnd - cycle - yellowStart;
+    if (overlap > 0) {
+        yellowStart += overlap / 2;
+        blinkingEnd -= overlap / 2;
+    }
+    return { cycle, yellowStart, greenStart, greenEnd, blinkingEnd };
+}
+
+// Get light state at current time
+function getLightState(light, time, difficulty = DEFAULT_DIFFICULTY) {
+    const phases = getLightPhases(light, difficulty);
+    const adjustedTime = (time + light.offset) % phases.cycle;
+
+    if (adjustedTime >= phases.greenStart && adjustedTime < phases.greenEnd) {
+        return 'green';
+    } else if (adjustedTime >= phases.greenEnd ? adjustedTime < phases.blinkingEnd : adjustedTime + phases.cycle < phases.blinkingEnd) {
+        return 'blinking-yellow'; // Warning before red
+    } else if (adjustedTime >= phases.yellowStart && adjustedTime < phases.greenStart) {
+        return 'yellow'; // Solid yellow before green
+    } else {
+        return 'red';
+    }
+}
+
+// Get time until next change
+function getTimeUntilChange(light, time, difficulty = DEFAULT_DIFFICULTY) {
+    const phases = getLightPhases(light, difficulty);
+    const adjustedTime = (time + light.offset) % phases.cycle;
+
+    switch (getLightState(light, time, difficulty)) {
+        case 'green':
+            return phases.greenEnd - adjustedTime;
+        case 'blinking-yellow':
+            return adjustedTime >= phases.greenEnd
+                ? phases.blinkingEnd - adjustedTime
+                : phases.blinkingEnd - phases.cycle - adjustedTime;
+        case 'yellow':
+            return phases.greenStart - adjustedTime;
+        default:
+            // Red lasts until the yellow, possibly in the next cycle
+            return adjustedTime < phases.yellowStart
+                ? phases.yellowStart - adjustedTime
+                : phases.cycle - adjustedTime + phases.yellowStart;
+    }
+}
+
+// Get the duration of the current phase (for progress bar)
+function getCurrentPhaseDuration(light, time, difficulty = DEFAULT_DIFFICULTY) {
+    const phases = getLightPhases(light, difficulty);
+    switch (getLightState(light, time, difficulty)) {
+        case 'red': return phases.cycle - (phases.blinkingEnd - phases.yellowStart);
+        case 'yellow': return phases.greenStart - phases.yellowStart;
+        case 'green': return light.greenDuration;
+        case 'blinking-yellow': return phases.blinkingEnd - phases.greenEnd;
+        default: return 1;
+    }
+}
+
+// Whether a light in this state can be passed under a difficulty's rules
+function canPassLight(lightState, difficulty = DEFAULT_DIFFICULTY) {
+    return lightState !== 'red' && (lightState !== 'blinking-yellow' || getDifficulty(difficulty).blinkingPasses);
+}
+
+// Whether the car's front is in the stop-line zone of the next light
+function isAtStopLine(level, state) {
+    const light = level.lights[state.lightsPassed];
+    return light !== undefined && getCarFront(state) >= light.x - STOP_LINE_ZONE;
+}
+
+// What the stars judge a run on: its speed change, plus the idling penalty of
+// difficulties that have one
+function getDrivingScore(state) {
+    const penalty = getDifficulty(state.difficulty).idlePenalty;
+    if (!penalty) return state.totalSpeedChange;
+    return state.totalSpeedChange + state.idleTime * penalty.perSecond + state.idleFuel * penalty.perMl;
+}
+
+// Calculate star rating based on driving smoothness
+// Lower driving score (see getDrivingScore) = smoother driving = more stars
+function calculateStars(speedChange, levelDistance, difficulty = DEFAULT_DIFFICULTY) {
+    // Normalize speed change by level distance for fair comparison across levels
+    // speedChange is in km/h accumulated, levelDistance in pixels
+    const normalizedChange = speedChange / (levelDistance / 100);
+
+    // Thresholds tuned for gameplay feel, e.g. on Normal:
+    // < 20: very smooth driving, minimal corrections
+    // < 50: some adjustments needed
+    // >= 50: lots of speed changes
+    const [threeStars, twoStars] = getDifficulty(difficulty).stars;
+    if (normalizedChange < threeStars) {
+        return 3;
+    } else if (normalizedChange < twoStars) {
+        return 2;
+    } else {
+        return 1;
+    }
+}
+
+function getVehicle(id) {
+    return VEHICLES[id] || VEHICLES[DEFAULT_VEHICLE];
+}
+
+// Create the initial state of a run on the given level with the given vehicle (a VEHICLES key)
+// under the given difficulty (a DIFFICULTIES key).
+// The state is a flat object so callers can cheaply copy it to branch a run.
+// Lights are expected in road order, so `lightsPassed` is also the index of
+// the next light ahead of the car.
+function createSimulation(level, vehicle = DEFAULT_VEHICLE, difficulty = DEFAULT_DIFFICULTY) {
+    return {
+        tick: 0,
+        time: 0,
+        vehicle: vehicle,
+        difficulty: difficulty,
+        speed: Math.min(level.startSpeed, getVehicle(vehicle).maxSpeed),
+        x: 0, // Car's centre in the world
+        lightsPassed: 0,
+        totalSpeedChange: 0, // Accumulated absolute speed changes
+        idleTime: 0, // Seconds spent standing still
+        idleFuel: 0, // ml of fuel burnt standing still
+        lastSpeed: Math.min(level.startSpeed, getVehicle(vehicle).maxSpeed), // Previous tick's speed for comparison
+        status: 'running', // 'running', 'won', 'lost'
+        failReason: null,
+        failedLight: -1
+    };
+}
+
+// The car is drawn centred on its position, so its front is half its length ahead
+function getCarFront(state) {
+    return state.x + getVehicle(state.vehicle).length / 2;
+}
+
+// Pedal position from 0 to 1, rounded to a whole pedal step; true/false mean floored/released
+function quantizePedal(value) {
+    const position = Math.max(0, Math.min(1, Number(value) || 0));
+    return Math.round(position * PEDAL_STEPS) / PEDAL_STEPS;
+}
+
+// Advance a run by one fixed tick.
+// `input` is { gas, brake }, each a pedal position from 0 to 1 (or a boolean).
+// Mutates `state` and returns the events of this tick:
+// { type: 'light-passed', light, state }, { type: 'failed', reason, light }
+// or { type: 'finished' }.
+function stepSimulation(level, state, input) {
+    const events = [];
+    if (state.status !== 'running') return events;
+
+    const dt = SIM_TIMESTEP;
+    const vehicle = getVehicle(state.vehicle);
+    const rules = getDifficulty(state.difficulty);
+    state.tick++;
+    state.time = state.tick * dt;
+
+    // Update car speed based on input. A partly pressed pedal blends between
+    // coasting and the full pedal; pressing both pedals coasts.
+    const gas = quantizePedal(input.gas);
+    const brake = quantizePedal(input.brake);
+    const throttle = vehicle.acceleration * gas - vehicle.friction * (1 - gas);
+    if (gas > 0 && brake === 0) {
+        state.speed += throttle * dt;
+    } else if (brake > 0 && gas === 0) {
+        state.speed -= (vehicle.brakePower * brake + vehicle.friction * (1 - brake)) * dt;
+    } else {
+        // Coasting - apply friction
+        state.speed -= vehicle.friction * dt;
+    }
+
+    // Clamp speed
+    state.speed = Math.max(0, Math.min(vehicle.maxSpeed, state.speed));
+
+    // Track speed changes for smoothness rating (only count intentional changes, not friction)
+    if (gas > 0 || brake > 0) {
+        state.totalSpeedChange += Math.abs(state.speed - state.lastSpeed);
+    }
+    state.lastSpeed = state.speed;
+
+    if (state.speed === 0) {
+        state.idleTime += dt;
+        state.idleFuel += vehicle.idleFuel * dt;
+    }
+
+    // Check for stopped (failure) only when fully stopped and not accelerating
+    // (too little gas to beat friction counts as stalling), on difficulties where stopping fails.
+    // Waiting at the stop line is allowed whatever the light shows, so a player stopped
+    // at a red light has time to pull away when it turns green.
+    if (rules.stopFails && state.speed === 0 && (gas === 0 || (brake === 0 && throttle <= 0)) &&
+        !(rules.stopAtLights && isAtStopLine(level, state))) {
+        state.status = 'lost';
+        state.failReason = FAIL_STOPPED;
+        events.push({ type: 'failed', reason: FAIL_STOPPED, light: -1 });
+        return events;
+    }
+
+    // Move car in world
+    state.x += state.speed * PIXELS_PER_KMH * dt;
+
+    // Check traffic lights at the car's front
+    const carFront = getCarFront(state);
+    const lights = level.lights;
+
+    while (state.lightsPassed < lights.length && carFront > lights[state.lightsPassed].x) {
+        // Car just passed this light
+        const index = state.lightsPassed;
+        const lightState = getLightState(lights[index], state.time, state.difficulty);
+        if (!canPassLight(lightState, state.difficulty)) {
+            const reason = lightState === 'red' ? FAIL_RED_LIGHT : FAIL_BLINKING;
+            state.status = 'lost';
+            state.failReason = reason;
+            state.failedLight = index;
+            events.push({ type: 'failed', reason: reason, light: index });
+            return events;
+        }
+        state.lightsPassed++;
+        events.push({ type: 'light-passed', light: index, state: lightState });
+    }
+
+    // Check for level complete
+    if (state.x > level.finishX) {
+        state.status = 'won';
+        events.push({ type: 'finished' });
+    }
+
+    return events;
+}
+
+// Run a whole level headless.
+// `inputs` is either an array of per-tick { gas, brake } (missing ticks coast)
+// or a function (tick, state) => { gas, brake }. Returns the final state plus
+// every light pass and, for a win, the star rating.
+function runSimulation(level, inputs, maxTime = 120, vehicle = DEFAULT_VEHICLE, difficulty = DEFAULT_DIFFICULTY) {
+    const state = createSimulation(level, vehicle, difficulty);
+    const passes = [];
+    const maxTicks = Math.ceil(maxTime / SIM_TIMESTEP);
+    const coast = { gas: false, brake: false };
+
+    while (state.status === 'running' && state.tick < maxTicks) {
+        const input = typeof inputs === 'function'
+            ? inputs(state.tick, state)
+            : (inputs[state.tick] || coast);
+        const events = stepSimulation(level, state, input);
+        for (const event of events) {
+            if (event.type === 'light-passed') {
+                passes.push({ light: event.light, state: event.state, time: state.time });
+            }
+        }
+    }
+
+    return {
+        outcome: state.status === 'running' ? 'timeout' : state.status,
+        time: state.time,
+        stars: state.status === 'won' ? calculateStars(getDrivingScore(state), level.finishX, difficulty) : 0,
+        passes: passes,
+        state: state
+    };
+}
+
+// Allow the simulation to be loaded headless under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SIM_TIMESTEP,
+        VEHICLES,
+        DEFAULT_VEHICLE,
+        MAX_VEHICLE_LENGTH,
+        MAX_START_SPEED,
+        MIN_SPEED_THRESHOLD,
+        PEDAL_STEPS,
+        PIXELS_PER_KMH,
+        STOP_LINE_ZONE,
+        YELLOW_BEFORE_GREEN,
+        YELLOW_AFTER_GREEN,
+        DIFFICULTIES,
+        DEFAULT_DIFFICULTY,
+        FAIL_RED_LIGHT,
+        FAIL_STOPPED,
+        FAIL_BLINKING,
+        getDifficulty,
+        getLightState,
+        getTimeUntilChange,
+        getCurrentPhaseDuration,
+        canPassLight,
+        isAtStopLine,
+        getDrivingScore,
+        calculateStars,
+        getVehicle,
+        getCarFront,
+        quantizePedal,
+        createSimulation,
+        stepSimulation,
+        runSimulation
+    };
+}
@@ -0,0 +1,150 @@
+// Green Wave Skins
+// Car paint jobs chosen in the garage: a palette for the body and an optional
+// decal. Every vehicle, and the car in the ending, is drawn with the chosen skin.
+// Skins other than the first are unlocked through progress; unlocked skins are
+// kept in localStorage next to the best times.
+
+const UNLOCKS_KEY = 'greenWaveUnlocks';
+const SELECTED_SKIN_KEY = 'greenWaveSkin';
+const DEFAULT_SKIN = 'sunset';
+
+// Palette colours: `main` body, `dark` lower body and trim, `light` character
+// line (side view), `shine` shoulder crease (ending view). `decal` is null,
+// 'stripes', 'checker' or 'flames', painted in `decalColor` (flames have their own colours).
+// Unlock rules:
+//   { type: 'three-stars', levels: n }        - 3 stars on n levels (any pack or vehicle)
+//   { type: 'full-game', pack, maxTime }      - a full-game run of the pack under maxTime seconds
+//   { type: 'no-brake' }                      - finish a level without touching the brake
+const CAR_SKINS = [
+    {
+        id: 'sunset',
+        name: 'Sunset',
+        palette: { main: '#ff6b35', dark: '#cc4411', light: '#ff8855', shine: '#ffaa77' },
+        decal: null,
+        decalColor: null,
+        unlock: null
+    },
+    {
+        id: 'mint',
+        name: 'Mint Racer',
+        palette: { main: '#4ecca3', dark: '#2a8f70', light: '#8ee8c9', shine: '#b5f2dc' },
+        decal: 'stripes',
+        decalColor: '#f5f5f5',
+        unlock: { type: 'three-stars', levels: 1 }
+    },
+    {
+        id: 'checker',
+        name: 'Checkered Cab',
+        palette: { main: '#f4c430', dark: '#b8901a', light: '#ffe07a', shine: '#fff0b0' },
+        decal: 'checker',
+        decalColor: '#111',
+        unlock: { type: 'three-stars', levels: 5 }
+    },
+    {
+        id: 'pearl',
+        name: 'Pearl',
+        palette: { main: '#e8ecf2', dark: '#a9b1bd', light: '#ffffff', shine: '#ffffff' },
+        decal: 'stripes',
+        decalColor: '#4ecca3',
+        unlock: { type: 'no-brake' }
+    },
+    {
+        id: 'inferno',
+        name: 'Inferno',
+        palette: { main: '#222230', dark: '#111118', light: '#44445a', shine: '#55556e' },
+        decal: 'flames',
+        decalColor: null,
+        unlock: { type: 'full-game', pack: 'classic', maxTime: 75 }
+    }
+];
+
+function getSkin(id) {
+    return CAR_SKINS.find(skin => skin.id === id) || CAR_SKINS[0];
+}
+
+// How to unlock a skin, for the garage
+function describeSkinUnlock(unlock) {
+    switch (unlock.type) {
+        case 'three-stars':
+            return unlock.levels === 1 ? 'Get 3 stars on a level' : `Get 3 stars on ${unlock.levels} levels`;
+        case 'full-game':
+            return `Finish a full-game run of the ${unlock.pack} levels in under ${unlock.maxTime} s`;
+        case 'no-brake':
+            return 'Finish a level without touching the brake';
+        default:
+            return 'Locked';
+    }
+}
+
+// Whether `progress` meets an unlock rule. `progress` describes the run just won:
+// { threeStarLevels, usedBrake, fullGame: { pack, time } or null }
+function isSkinEarned(unlock, progress) {
+    switch (unlock.type) {
+        case 'three-stars':
+            return progress.threeStarLevels >= unlock.levels;
+        case 'full-game':
+            return progress.fullGame !== null && progress.fullGame.pack === unlock.pack && progress.fullGame.time < unlock.maxTime;
+        case 'no-brake':
+            return !progress.usedBrake;
+        default:
+            return false;
+    }
+}
+
+// Unlock state: { skins: [ids] }. The default skin is always unlocked.
+function getUnlocks() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(UNLOCKS_KEY));
+        const skins = stored && Array.isArray(stored.skins) ? stored.skins : [];
+        return { ...stored, skins: skins };
+    } catch (e) {
+        return { skins: [] };
+    }
+}
+
+function saveUnlocks(unlocks) {
+    try {
+        localStorage.setItem(UNLOCKS_KEY, JSON.stringify(unlocks));
+    } catch (e) {
+        // localStorage might be unavailable
+    }
+}
+
+function isSkinUnlocked(id, unlocks = getUnlocks()) {
+    return id === DEFAULT_SKIN || unlocks.skins.includes(id);
+}
+
+// Unlock every skin the progress earns; returns the newly unlocked skins
+function unlockSkins(progress) {
+    const unlocks = getUnlocks();
+    const earned = CAR_SKINS.filter(skin =>
+        skin.unlock && !isSkinUnlocked(skin.id, unlocks) && isSkinEarned(skin.unlock, progress));
+    if (earned.length > 0) {
+        unlocks.skins.push(...earned.map(skin => skin.id));
+        saveUnlocks(unlocks);
+    }
+    return earned;
+}
+
+// The chosen skin, falling back to the default one if it's unknown or locked
+function getSelectedSkinId() {
+    try {
+        const id = localStorage.getItem(SELECTED_SKIN_KEY);
+        return CAR_SKINS.some(skin => skin.id === id) && isSkinUnlocked(id) ? id : DEFAULT_SKIN;
+    } catch (e) {
+        return DEFAULT_SKIN;
+    }
+}
+
+function saveSelectedSkinId(id) {
+    try {
+        localStorage.setItem(SELECTED_SKIN_KEY, id);
+    } catch (e) {
+        // localStorage might be unavailable
+    }
+}
+
+// Allow the unlock rules to be checked headless under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CAR_SKINS, DEFAULT_SKIN, getSkin, describeSkinUnlock, isSkinEarned };
+}
@@ -0,0 +1,99 @@
+// Green Wave Statistics
+// Attempts, wins and fails for every built-in level, with fails split by reason
+// and red-light fails counted per light, so the stats page can show which lights
+// stop players most. Kept in localStorage; every vehicle and difficulty adds to the
+// same numbers.
+
+// Under Node, pull in the simulation; in the browser it's already loaded
+if (typeof module !== 'undefined' && module.exports && typeof FAIL_RED_LIGHT === 'undefined') {
+    Object.assign(global, require('./simulation.js'));
+}
+
+const STATS_KEY = 'greenWaveStats';
+
+// Per level: { attempts, wins, fails: { [reason]: count }, redLights: [count per light index] }
+function createLevelStats() {
+    return { attempts: 0, wins: 0, fails: { [FAIL_RED_LIGHT]: 0, [FAIL_STOPPED]: 0 }, redLights: [] };
+}
+
+// { levels: { [level key]: level stats } }, keyed like the records of the default vehicle and difficulty
+function getStats() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STATS_KEY));
+        if (stored && stored.levels && typeof stored.levels === 'object') {
+            return stored;
+        }
+    } catch (e) {
+        // Fall through to empty stats
+    }
+    return { levels: {} };
+}
+
+function saveStats(stats) {
+    try {
+        localStorage.setItem(STATS_KEY, JSON.stringify(stats));
+    } catch (e) {
+        // localStorage might be unavailable
+    }
+}
+
+// A level's stats, with anything missing filled in
+function getLevelStats(stats, key) {
+    const stored = stats.levels[key] || {};
+    const levelStats = createLevelStats();
+    return {
+        attempts: stored.attempts || 0,
+        wins: stored.wins || 0,
+        fails: { ...levelStats.fails, ...stored.fails },
+        redLights: Array.isArray(stored.redLights) ? stored.redLights : []
+    };
+}
+
+function updateLevelStats(key, change) {
+    const stats = getStats();
+    const levelStats = getLevelStats(stats, key);
+    change(levelStats);
+    stats.levels[key] = levelStats;
+    saveStats(stats);
+}
+
+function recordLevelAttempt(key) {
+    updateLevelStats(key, levelStats => {
+        levelStats.attempts++;
+    });
+}
+
+function recordLevelWin(key) {
+    updateLevelStats(key, levelStats => {
+        levelStats.wins++;
+    });
+}
+
+// `light` is the index of the light run on red, -1 for other fails
+function recordLevelFail(key, reason, light) {
+    updateLevelStats(key, levelStats => {
+        levelStats.fails[reason] = (levelStats.fails[reason] || 0) + 1;
+        if (reason === FAIL_RED_LIGHT && light >= 0) {
+            levelStats.redLights[light] = (levelStats.redLights[light] || 0) + 1;
+        }
+    });
+}
+
+function getTotalFails(levelStats) {
+    return Object.values(levelStats.fails).reduce((sum, count) => sum + count, 0);
+}
+
+// Red-light fails at each of a level's lights, with heat from 0 to 1 relative to its worst light
+function getLightHeat(levelStats, lightCount) {
+    const counts = [];
+    for (let i = 0; i < lightCount; i++) {
+        counts.push(levelStats.redLights[i] || 0);
+    }
+    const worst = Math.max(0, ...counts);
+    return counts.map(count => ({ count, heat: worst > 0 ? count / worst : 0 }));
+}
+
+// Allow the stats to be summarized headless under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createLevelStats, getLevelStats, getTotalFails, getLightHeat };
+}